@@ -0,0 +1,100 @@
+import * as THREE from 'three'
+
+const screenPosition = new THREE.Vector3()
+
+/**
+ * AIDebugOverlay class for seeing what each zombie is thinking
+ * Draws a label above every zombie with its state, running behavior and awareness,
+ * plus a panel of pool and batch statistics
+ */
+export class AIDebugOverlay {
+  /**
+   * @param {HTMLElement} container - Element the labels are added to
+   */
+  constructor(container) {
+    this.container = container
+    this.labels = [] // Reused between frames; only as many as there are zombies are shown
+    this.enabled = false
+
+    this.statsPanel = document.createElement('div')
+    this.statsPanel.className = 'ai-debug-stats'
+    this.container.appendChild(this.statsPanel)
+  }
+
+  toggle() {
+    this.setEnabled(!this.enabled)
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled
+    this.container.classList.toggle('hidden', !enabled)
+  }
+
+  /**
+   * Move the labels to follow their zombies
+   * @param {Zombie[]} zombies - Zombies to label
+   * @param {THREE.Camera} camera - Camera the scene is drawn from
+   */
+  update(zombies, camera) {
+    if (!this.enabled) return
+
+    const width = this.container.clientWidth
+    const height = this.container.clientHeight
+    let count = 0
+
+    zombies.forEach(zombie => {
+      if (zombie.isDead()) return
+
+      // Project a point just above the head into screen space
+      const mesh = zombie.getMesh()
+      screenPosition.set(mesh.position.x, mesh.position.y + zombie.halfHeight * 2 + 0.3, mesh.position.z)
+      screenPosition.project(camera)
+      if (screenPosition.z > 1) return // Behind the camera
+
+      const label = this.getLabel(count++)
+      label.style.transform = `translate(${(screenPosition.x + 1) / 2 * width}px, ${(1 - screenPosition.y) / 2 * height}px) translate(-50%, -100%)`
+      label.className = `ai-debug-label ${zombie.getPerception().getAwareness()}`
+      label.textContent = this.describe(zombie)
+    })
+
+    for (let i = count; i < this.labels.length; i++) {
+      this.labels[i].style.display = 'none'
+    }
+  }
+
+  /**
+   * Show a line of counts per source, e.g. { Bullets: { active: 3, free: 27, created: 30 } }
+   * @param {object} stats - Stats objects keyed by the label to show them under
+   */
+  showStats(stats) {
+    this.statsPanel.textContent = Object.entries(stats)
+      .map(([name, values]) => {
+        const counts = Object.entries(values).map(([key, value]) => `${key} ${value}`).join('  ')
+        return `${name}: ${counts}`
+      })
+      .join('\n')
+  }
+
+  describe(zombie) {
+    const behavior = zombie.getBehavior()
+    const action = behavior.getActiveActionName() || '-'
+    return `${zombie.name} [${zombie.state}]\n${action}\n${zombie.getPerception().getAwareness()}`
+  }
+
+  getLabel(index) {
+    if (!this.labels[index]) {
+      const label = document.createElement('div')
+      this.container.appendChild(label)
+      this.labels[index] = label
+    }
+
+    const label = this.labels[index]
+    label.style.display = ''
+    return label
+  }
+
+  // Getters
+  isEnabled() {
+    return this.enabled
+  }
+}
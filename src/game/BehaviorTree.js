@@ -0,0 +1,303 @@
+export const STATUS = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  RUNNING: 'running'
+}
+
+/**
+ * Blackboard class for data shared between the nodes of one tree
+ */
+export class Blackboard {
+  constructor(initial = {}) {
+    this.data = new Map(Object.entries(initial))
+  }
+
+  get(key, fallback = undefined) {
+    return this.data.has(key) ? this.data.get(key) : fallback
+  }
+
+  set(key, value) {
+    this.data.set(key, value)
+  }
+
+  has(key) {
+    return this.data.has(key)
+  }
+
+  delete(key) {
+    this.data.delete(key)
+  }
+
+  clear() {
+    this.data.clear()
+  }
+}
+
+/**
+ * Base class for behavior tree nodes
+ * A node is entered the first time it is ticked and exited when it stops running,
+ * either by finishing or by being interrupted when another branch takes over
+ */
+export class BehaviorNode {
+  constructor(name) {
+    this.name = name
+    this.isOpen = false
+  }
+
+  /**
+   * Run the node for one tick, calling enter/exit hooks around it
+   * @param {BehaviorTree} tree - Tree being ticked
+   * @returns {string} One of STATUS
+   */
+  execute(tree) {
+    if (!this.isOpen) {
+      this.isOpen = true
+      this.onEnter(tree)
+    }
+
+    const status = this.tick(tree)
+    tree.visit(this, status)
+
+    if (status !== STATUS.RUNNING) {
+      this.isOpen = false
+      this.onExit(tree, status)
+    }
+
+    return status
+  }
+
+  /**
+   * Close the node because the tree stopped ticking it while it was running
+   * @param {BehaviorTree} tree - Owning tree
+   */
+  interrupt(tree) {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    this.onExit(tree, null)
+  }
+
+  onEnter(tree) {}
+
+  tick(tree) {
+    return STATUS.SUCCESS
+  }
+
+  // status is null when the node was interrupted
+  onExit(tree, status) {}
+}
+
+/**
+ * Runs children in order until one succeeds or is running
+ * Re-evaluated from the first child every tick, so higher priority branches can take over
+ */
+export class Selector extends BehaviorNode {
+  constructor(name, children) {
+    super(name)
+    this.children = children
+  }
+
+  tick(tree) {
+    for (const child of this.children) {
+      const status = child.execute(tree)
+      if (status !== STATUS.FAILURE) return status
+    }
+    return STATUS.FAILURE
+  }
+}
+
+/**
+ * Runs children in order until one fails or is running
+ * By default it is re-evaluated from the first child every tick, so guard conditions are checked
+ * continuously; with memory it resumes from the running child, for chains of actions
+ */
+export class Sequence extends BehaviorNode {
+  /**
+   * @param {string} name - Name shown in the debug overlay
+   * @param {BehaviorNode[]} children - Nodes to run in order
+   * @param {object} options - memory: resume from the running child instead of starting over
+   */
+  constructor(name, children, options = {}) {
+    super(name)
+    this.children = children
+    this.memory = options.memory ?? false
+    this.currentIndex = 0
+  }
+
+  onEnter(tree) {
+    this.currentIndex = 0
+  }
+
+  tick(tree) {
+    const start = this.memory ? this.currentIndex : 0
+
+    for (let i = start; i < this.children.length; i++) {
+      const status = this.children[i].execute(tree)
+      if (status !== STATUS.SUCCESS) {
+        this.currentIndex = status === STATUS.RUNNING ? i : 0
+        return status
+      }
+    }
+
+    this.currentIndex = 0
+    return STATUS.SUCCESS
+  }
+}
+
+/**
+ * Leaf that succeeds when its predicate is true
+ */
+export class Condition extends BehaviorNode {
+  /**
+   * @param {string} name - Name shown in the debug overlay
+   * @param {Function} predicate - (agent, blackboard, tree) => boolean
+   */
+  constructor(name, predicate) {
+    super(name)
+    this.predicate = predicate
+  }
+
+  tick(tree) {
+    return this.predicate(tree.agent, tree.blackboard, tree) ? STATUS.SUCCESS : STATUS.FAILURE
+  }
+}
+
+/**
+ * Leaf that does something to the agent
+ */
+export class Action extends BehaviorNode {
+  /**
+   * @param {string} name - Name shown in the debug overlay
+   * @param {object} hooks - tick (required, returns a STATUS; defaults to SUCCESS), optional enter and exit;
+   *                         each is called with (agent, blackboard, tree) and exit also gets the status
+   */
+  constructor(name, hooks) {
+    super(name)
+    this.hooks = typeof hooks === 'function' ? { tick: hooks } : hooks
+    this.isAction = true
+  }
+
+  onEnter(tree) {
+    if (this.hooks.enter) this.hooks.enter(tree.agent, tree.blackboard, tree)
+  }
+
+  tick(tree) {
+    return this.hooks.tick(tree.agent, tree.blackboard, tree) ?? STATUS.SUCCESS
+  }
+
+  onExit(tree, status) {
+    if (this.hooks.exit) this.hooks.exit(tree.agent, tree.blackboard, tree, status)
+  }
+}
+
+/**
+ * Decorator that fails while cooling down after its child succeeded
+ */
+export class Cooldown extends BehaviorNode {
+  /**
+   * @param {string} name - Name shown in the debug overlay
+   * @param {number} duration - Milliseconds before the child can run again
+   * @param {BehaviorNode} child - Decorated node
+   */
+  constructor(name, duration, child) {
+    super(name)
+    this.duration = duration
+    this.child = child
+    this.readyTime = 0
+  }
+
+  tick(tree) {
+    if (tree.time < this.readyTime) return STATUS.FAILURE
+
+    const status = this.child.execute(tree)
+    if (status === STATUS.SUCCESS) {
+      this.readyTime = tree.time + this.duration
+    }
+    return status
+  }
+}
+
+/**
+ * BehaviorTree class for running a node tree against one agent
+ * Tracks its own clock, a blackboard, and which nodes are running so interrupted ones get their exit hooks
+ */
+export class BehaviorTree {
+  /**
+   * @param {BehaviorNode} root - Root node
+   * @param {object} agent - Entity the tree controls, passed to conditions and actions
+   * @param {object} blackboard - Optional initial blackboard values
+   */
+  constructor(root, agent, blackboard = {}) {
+    this.root = root
+    this.agent = agent
+    this.blackboard = new Blackboard(blackboard)
+
+    this.time = 0 // Milliseconds the tree has been updated for
+    this.deltaTime = 0 // Seconds since the previous tick
+
+    this.runningNodes = new Set()
+    this.previousRunningNodes = new Set()
+    this.activeAction = null
+  }
+
+  /**
+   * Tick the tree once
+   * @param {number} deltaTime - Seconds since the previous tick
+   * @returns {string} Status of the root node
+   */
+  update(deltaTime) {
+    this.time += deltaTime * 1000
+    this.deltaTime = deltaTime
+
+    // Swap the sets rather than allocating new ones every tick
+    const previous = this.runningNodes
+    this.runningNodes = this.previousRunningNodes
+    this.runningNodes.clear()
+    this.previousRunningNodes = previous
+    this.activeAction = null
+
+    const status = this.root.execute(this)
+
+    // Anything that was running last tick but wasn't reached this tick has been interrupted
+    this.previousRunningNodes.forEach(node => {
+      if (!this.runningNodes.has(node)) node.interrupt(this)
+    })
+
+    return status
+  }
+
+  /**
+   * Called by nodes after they tick
+   * @param {BehaviorNode} node - Node that ran
+   * @param {string} status - Its result
+   */
+  visit(node, status) {
+    if (status === STATUS.RUNNING) {
+      this.runningNodes.add(node)
+    }
+
+    // The last action to run is what the agent is doing
+    if (node.isAction && status !== STATUS.FAILURE) {
+      this.activeAction = node
+    }
+  }
+
+  /**
+   * Interrupt everything that is running, e.g. when the agent dies
+   */
+  stop() {
+    this.runningNodes.forEach(node => node.interrupt(this))
+    this.runningNodes.clear()
+    this.previousRunningNodes.clear()
+    this.activeAction = null
+  }
+
+  // Getters
+  getActiveActionName() {
+    return this.activeAction ? this.activeAction.name : null
+  }
+
+  getBlackboard() {
+    return this.blackboard
+  }
+}
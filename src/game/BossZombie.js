@@ -0,0 +1,281 @@
+import * as THREE from 'three'
+import { Zombie } from './Zombie.js'
+
+/**
+ * BossZombie class for boss encounters
+ * A large zombie whose behaviour changes in phases as it loses health: it charges,
+ * slams the ground for area damage and summons minions
+ */
+export class BossZombie extends Zombie {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the boss to
+   * @param {CANNON.World} world - Physics world to add the boss to
+   * @param {CollisionManager} collisionManager - Registers the boss's body and answers line-of-sight checks
+   * @param {number} x - Spawn position
+   * @param {number} y - Ground height at the spawn position
+   * @param {number} z - Spawn position
+   * @param {object} definition - Zombie type with a boss section (phases, abilities, reward)
+   */
+  constructor(scene, world, collisionManager, x, y, z, definition) {
+    super(scene, world, collisionManager, x, y, z, definition)
+
+    this.isBoss = true
+    this.phases = definition.boss.phases
+    this.abilities = definition.boss.abilities
+    this.reward = definition.boss.reward
+    this.phaseIndex = 0
+    this.damageScale = 1 // Wave damage multiplier, applied to ability damage
+
+    // Abilities start on cooldown so the boss walks in before using them
+    this.abilityCooldowns = {}
+    Object.entries(this.abilities).forEach(([name, ability]) => {
+      this.abilityCooldowns[name] = ability.cooldown * 0.5
+    })
+    this.activeAbility = null // { name, timer, stage, direction }
+
+    // Called with (boss, phaseIndex) when a new phase begins
+    this.onPhaseChanged = null
+
+    // Called with (boss, { position, radius, damage, knockback }) when a charge or slam lands
+    this.onAreaAttack = null
+
+    // Called with (boss, count, typeId) to bring in minions
+    this.onSummon = null
+
+    this.setupHealthBar()
+  }
+
+  setupHealthBar() {
+    // Sprites always face the camera; the fill is anchored on its left edge so it can shrink
+    this.healthBarWidth = 2.5
+    this.healthBarOffset = this.halfHeight * 2 + 0.8
+
+    this.healthBarBackground = new THREE.Sprite(new THREE.SpriteMaterial({ color: 0x222222 }))
+    this.healthBarBackground.scale.set(this.healthBarWidth + 0.1, 0.3, 1)
+
+    this.healthBarFill = new THREE.Sprite(new THREE.SpriteMaterial({ color: 0xcc2222 }))
+    this.healthBarFill.center.set(0, 0.5)
+    this.healthBarFill.scale.set(this.healthBarWidth, 0.2, 1)
+
+    this.scene.add(this.healthBarBackground)
+    this.scene.add(this.healthBarFill)
+  }
+
+  update(deltaTime) {
+    if (this.isDead()) return
+
+    this.updatePhase()
+    this.updateAbilities(deltaTime)
+    super.update(deltaTime)
+    this.updateHealthBar()
+  }
+
+  updatePhase() {
+    const fraction = this.getHealthFraction()
+
+    let phaseIndex = 0
+    this.phases.forEach((phase, index) => {
+      if (fraction <= phase.healthThreshold) phaseIndex = index
+    })
+
+    if (phaseIndex === this.phaseIndex) return
+
+    this.phaseIndex = phaseIndex
+    this.speed = this.baseSpeed * this.getPhase().speedMultiplier
+
+    if (this.onPhaseChanged) {
+      this.onPhaseChanged(this, phaseIndex)
+    }
+  }
+
+  updateAbilities(deltaTime) {
+    Object.keys(this.abilityCooldowns).forEach(name => {
+      this.abilityCooldowns[name] = Math.max(0, this.abilityCooldowns[name] - deltaTime * 1000)
+    })
+  }
+
+  /**
+   * Pick the ability to use next; called by the boss behavior tree
+   * @returns {string|null} Ability name, or null if none is ready and in range
+   */
+  chooseAbility() {
+    if (!this.target || !this.perception.isAware()) return null
+
+    const targetPosition = this.target.getPosition()
+    const distance = this.getHorizontalDistance(targetPosition)
+
+    // Strongest ability first
+    const available = this.getPhase().abilities.filter(name => this.abilityCooldowns[name] === 0)
+
+    if (available.includes('summon')) {
+      return 'summon'
+    }
+    if (available.includes('slam') && distance <= this.abilities.slam.range) {
+      return 'slam'
+    }
+    if (available.includes('charge') &&
+        distance >= this.abilities.charge.minRange &&
+        distance <= this.abilities.charge.maxRange &&
+        this.hasLineOfSight(targetPosition)) {
+      return 'charge'
+    }
+    return null
+  }
+
+  startAbility(name) {
+    this.activeAbility = { name, timer: 0, stage: 'windup', direction: new THREE.Vector3() }
+    this.abilityCooldowns[name] = this.abilities[name].cooldown
+    this.state = name
+    this.clearPath()
+
+    // Stand still and wind up
+    this.body.velocity.x = 0
+    this.body.velocity.z = 0
+    this.leftArm.rotation.x = -2
+    this.rightArm.rotation.x = -2
+  }
+
+  /**
+   * Advance the running ability
+   * @param {number} deltaTime - Seconds since the last call
+   * @returns {boolean} True once the ability has finished
+   */
+  updateActiveAbility(deltaTime) {
+    const ability = this.activeAbility
+    const config = this.abilities[ability.name]
+    ability.timer += deltaTime * 1000
+
+    if (ability.stage === 'windup') {
+      this.body.velocity.x = 0
+      this.body.velocity.z = 0
+      this.faceTarget()
+
+      if (ability.timer >= config.windup) {
+        ability.stage = 'active'
+        ability.timer = 0
+        this.performAbility(ability)
+      }
+      return false
+    }
+
+    // Only the charge lasts beyond its first frame
+    if (ability.name !== 'charge') {
+      this.endAbility()
+      return true
+    }
+
+    this.body.velocity.x = ability.direction.x * config.speed
+    this.body.velocity.z = ability.direction.z * config.speed
+
+    const reachRadius = this.radius + 1.2
+    if (this.getHorizontalDistance(this.target.getPosition()) <= reachRadius) {
+      this.emitAreaAttack(reachRadius + 0.5, config.damage, config.knockback)
+      this.endAbility()
+      return true
+    }
+    if (ability.timer >= config.duration) {
+      this.endAbility()
+      return true
+    }
+    return false
+  }
+
+  performAbility(ability) {
+    const config = this.abilities[ability.name]
+
+    if (ability.name === 'charge') {
+      const targetPosition = this.target.getPosition()
+      ability.direction.set(
+        targetPosition.x - this.group.position.x,
+        0,
+        targetPosition.z - this.group.position.z
+      ).normalize()
+    } else if (ability.name === 'slam') {
+      this.emitAreaAttack(config.radius, config.damage, config.knockback)
+    } else if (ability.name === 'summon' && this.onSummon) {
+      this.onSummon(this, config.count, config.type)
+    }
+  }
+
+  endAbility() {
+    if (!this.activeAbility) return
+
+    this.activeAbility = null
+    this.state = 'chasing'
+    this.body.velocity.x = 0
+    this.body.velocity.z = 0
+    this.leftArm.rotation.x = 0
+    this.rightArm.rotation.x = 0
+  }
+
+  emitAreaAttack(radius, damage, knockback) {
+    if (!this.onAreaAttack) return
+
+    this.onAreaAttack(this, {
+      position: this.group.position.clone(),
+      radius,
+      damage: Math.round(damage * this.damageScale),
+      knockback
+    })
+  }
+
+  faceTarget() {
+    const targetPosition = this.target.getPosition()
+    this.group.rotation.y = Math.atan2(
+      targetPosition.x - this.group.position.x,
+      targetPosition.z - this.group.position.z
+    )
+  }
+
+  updateHealthBar() {
+    const position = this.group.position
+    const fraction = this.getHealthFraction()
+
+    this.healthBarBackground.position.set(position.x, position.y + this.healthBarOffset, position.z)
+    this.healthBarFill.position.set(
+      position.x - this.healthBarWidth / 2,
+      position.y + this.healthBarOffset,
+      position.z
+    )
+    this.healthBarFill.scale.x = Math.max(0.001, this.healthBarWidth * fraction)
+  }
+
+  applyWaveScaling(wave) {
+    super.applyWaveScaling(wave)
+
+    // Ability damage scales with the wave like the melee attack does
+    this.damageScale = wave.damageMultiplier
+    this.speed = this.baseSpeed * this.getPhase().speedMultiplier
+  }
+
+  // Bosses can't be crippled; limb hits only count as damage
+  applyLimbDamage() {}
+
+  die() {
+    this.removeHealthBar()
+    super.die()
+  }
+
+  removeHealthBar() {
+    [this.healthBarBackground, this.healthBarFill].forEach(sprite => {
+      this.scene.remove(sprite)
+      sprite.material.dispose()
+    })
+  }
+
+  removeFromScene() {
+    if (!this.isDead()) {
+      this.removeHealthBar()
+    }
+    super.removeFromScene()
+  }
+
+  // Getters
+  getPhase() {
+    return this.phases[this.phaseIndex]
+  }
+
+  getPhaseIndex() {
+    return this.phaseIndex
+  }
+}
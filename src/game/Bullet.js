@@ -1,133 +1,137 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
+import { DAMAGE_TYPES } from './HealthSystem.js'
+import { resourceCache } from '../utils/ResourceCache.js'
+import { simulationClock } from '../utils/SimulationClock.js'
+import { Utils } from '../utils/Utils.js'
 
+/**
+ * Bullet class for physics projectiles, fired by the player and by ranged zombies
+ * Bullets are pooled (see BulletPool): the mesh and body are made once and reused by activate().
+ * The body only carries the bullet through the air; hits come from sweeping the path travelled each step,
+ * so fast bullets can't tunnel through thin walls or zombies between steps
+ */
 export class Bullet {
-  constructor(scene, world, position, direction) {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the bullet to
+   * @param {CANNON.World} world - Physics world to add the bullet to
+   * @param {ParticleSystem} particles - Used for the impact effect
+   * @param {CollisionManager} collisionManager - Registers the bullet's body and sweeps its path for hits
+   */
+  constructor(scene, world, particles, collisionManager) {
     this.scene = scene
     this.world = world
-    this.speed = 50
+    this.particles = particles
+    this.collisionManager = collisionManager
     this.lifeTime = 3000 // 3 seconds
-    this.createTime = Date.now()
+    this.previousPosition = new THREE.Vector3()
     
-    this.setupVisual(position)
-    this.setupPhysics(position, direction)
+    // Called with (bullet, hit) once, when the bullet hits something
+    this.onImpact = null
+    
+    this.setupVisual()
+    this.setupPhysics()
   }
 
-  setupVisual(position) {
-    // Create bullet geometry (small sphere)
-    const geometry = new THREE.SphereGeometry(0.05, 8, 8)
-    const material = new THREE.MeshBasicMaterial({ 
-      color: 0xffff00,
-      emissive: 0x444400 
-    })
-    
+  setupVisual() {
+    // Unit sphere scaled to the bullet's radius on activation
+    const geometry = resourceCache.getGeometry('bullet', () => new THREE.SphereGeometry(1, 8, 8))
+    const material = new THREE.MeshBasicMaterial()
     this.mesh = new THREE.Mesh(geometry, material)
-    this.mesh.position.copy(position)
-    this.scene.add(this.mesh)
     
     // Add trail effect
     this.trail = []
     this.maxTrailLength = 10
   }
 
-  setupPhysics(position, direction) {
-    // Create physics body
-    const shape = new CANNON.Sphere(0.05)
+  setupPhysics() {
+    // No shape: the body just flies under gravity, other bodies and raycasts never touch it
     this.body = new CANNON.Body({ mass: 0.01 })
-    this.body.addShape(shape)
-    this.body.position.copy(position)
+    this.collisionManager.registerBody(this.body, { group: 'BULLET', material: 'bullet', entity: this })
+  }
+
+  /**
+   * Fire the bullet
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {THREE.Vector3} direction - Normalized travel direction
+   * @param {object} options - damage, damageType, speed, radius, color and source (who fired it)
+   */
+  activate(position, direction, options = {}) {
+    this.damage = options.damage ?? 25
+    this.damageType = options.damageType ?? DAMAGE_TYPES.BULLET
+    this.speed = options.speed ?? 50
+    this.radius = options.radius ?? 0.05
+    this.source = options.source ?? null
+    this.hitEntity = null // Entity whose body the bullet hit, if any
+    this.ignoreBodies = this.source && this.source.body ? [this.source.body] : [] // Don't hit whoever fired it
+    this.shouldBeRemoved = false
+    this.createTime = simulationClock.now()
+    this.trail.length = 0
+    
+    this.mesh.material.color.set(options.color ?? 0xffff00)
+    this.mesh.scale.setScalar(this.radius)
+    this.mesh.position.copy(position)
+    this.previousPosition.copy(position)
+    this.scene.add(this.mesh)
+    
+    this.body.position.set(position.x, position.y, position.z)
+    Utils.resetBodyInterpolation(this.body)
+    this.body.angularVelocity.set(0, 0, 0)
     
     // Set velocity in shooting direction
-    const velocity = direction.clone().multiplyScalar(this.speed)
-    this.body.velocity.set(velocity.x, velocity.y, velocity.z)
+    this.body.velocity.set(direction.x * this.speed, direction.y * this.speed, direction.z * this.speed)
     
     // Add to physics world
     this.world.addBody(this.body)
-    
-    // Handle collisions
-    this.body.addEventListener('collide', (event) => {
-      this.onCollision(event)
-    })
   }
 
-  onCollision(event) {
-    const other = event.target === this.body ? event.body : event.target
-    
-    // Create impact effect
-    this.createImpactEffect()
-    
-    // Mark for removal
-    this.shouldBeRemoved = true
+  /**
+   * Blood, sparks or dust depending on what was hit
+   * @param {CANNON.Body} body - Body that was hit, if known
+   * @param {THREE.Vector3} direction - Direction the bullet was travelling
+   */
+  createImpactEffect(body = null, direction = this.getDirection()) {
+    this.particles.spawnImpact(this.mesh.position, body, direction)
   }
 
-  createImpactEffect() {
-    // Create small particle explosion
-    const particleCount = 5
-    const particles = new THREE.Group()
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particleGeometry = new THREE.SphereGeometry(0.02, 4, 4)
-      const particleMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0xffa500,
-        transparent: true,
-        opacity: 0.8
-      })
-      
-      const particle = new THREE.Mesh(particleGeometry, particleMaterial)
-      particle.position.copy(this.mesh.position)
-      
-      // Random velocity for particles
-      const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2
-      )
-      velocity.normalize()
-      velocity.multiplyScalar(Math.random() * 2)
-      
-      particle.userData = { velocity, life: 0.5 }
-      particles.add(particle)
-    }
+  update() {
+    if (this.shouldBeRemoved) return
     
-    this.scene.add(particles)
-    
-    // Animate particles
-    const animateParticles = () => {
-      let allDead = true
-      
-      particles.children.forEach(particle => {
-        if (particle.userData.life > 0) {
-          particle.position.add(particle.userData.velocity.clone().multiplyScalar(0.016))
-          particle.userData.velocity.y -= 0.5 // gravity
-          particle.userData.life -= 0.016
-          particle.material.opacity = particle.userData.life * 2
-          allDead = false
-        }
-      })
-      
-      if (!allDead) {
-        requestAnimationFrame(animateParticles)
-      } else {
-        this.scene.remove(particles)
-        // Dispose of materials and geometries
-        particles.children.forEach(particle => {
-          particle.geometry.dispose()
-          particle.material.dispose()
-        })
-      }
-    }
-    
-    animateParticles()
-  }
-
-  update(deltaTime) {
     // Update visual position from physics
     this.mesh.position.copy(this.body.position)
     
+    // Check everything between where the bullet was last step and where it is now
+    const hit = this.collisionManager.sweep(this.previousPosition, this.mesh.position, {
+      ignoreBodies: this.ignoreBodies
+    })
+    if (hit.hit) {
+      this.impact(hit)
+      return
+    }
+    this.previousPosition.copy(this.mesh.position)
+    
     // Update trail
     this.updateTrail()
   }
 
+  /**
+   * Stop at the first thing hit along the path and report it
+   * @param {object} hit - Hit from CollisionManager.sweep
+   */
+  impact(hit) {
+    hit.direction = this.getDirection()
+    this.hitEntity = hit.entity
+    this.shouldBeRemoved = true
+    
+    this.mesh.position.copy(hit.point)
+    this.body.velocity.set(0, 0, 0)
+    this.createImpactEffect(hit.body, hit.direction)
+    
+    if (this.onImpact) {
+      this.onImpact(this, hit)
+    }
+  }
+
   updateTrail() {
     // Add current position to trail
     this.trail.push(this.mesh.position.clone())
@@ -156,19 +160,30 @@ export class Bullet {
     */
   }
 
-  checkCollision(targetMesh) {
-    // Simple distance-based collision check
-    const distance = this.mesh.position.distanceTo(targetMesh.position)
-    return distance < 1.0 // Collision radius
+  /**
+   * Place the bullet between the last two physics steps for drawing
+   * @param {number} alpha - 0 for the previous step, 1 for the latest
+   */
+  interpolate(alpha) {
+    // Spent bullets stay where they hit
+    if (this.shouldBeRemoved) return
+    
+    Utils.interpolateBody(this.body, alpha, this.mesh.position)
+  }
+
+  getDirection() {
+    const velocity = this.body.velocity
+    return new THREE.Vector3(velocity.x, velocity.y, velocity.z).normalize()
   }
 
   shouldRemove() {
-    const currentTime = Date.now()
+    const currentTime = simulationClock.now()
     return this.shouldBeRemoved || 
            (currentTime - this.createTime) > this.lifeTime ||
            this.body.position.y < -10 // Fell through world
   }
 
+  // Take the bullet out of play; it keeps its mesh and body for the next activate()
   removeFromScene() {
     // Remove from scene
     this.scene.remove(this.mesh)
@@ -178,13 +193,10 @@ export class Bullet {
       this.scene.remove(this.trailMesh)
       this.trailMesh.geometry.dispose()
       this.trailMesh.material.dispose()
+      this.trailMesh = null
     }
     
     // Remove from physics world
     this.world.removeBody(this.body)
-    
-    // Dispose of resources
-    this.mesh.geometry.dispose()
-    this.mesh.material.dispose()
   }
 }
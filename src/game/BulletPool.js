@@ -0,0 +1,54 @@
+import { Bullet } from './Bullet.js'
+import { Utils } from '../utils/Utils.js'
+
+/**
+ * BulletPool class for reusing bullets instead of allocating one per shot
+ */
+export class BulletPool {
+  /**
+   * @param {THREE.Scene} scene - Scene bullets are drawn in
+   * @param {CANNON.World} world - Physics world bullets fly through
+   * @param {ParticleSystem} particles - Used for impact effects
+   * @param {CollisionManager} collisionManager - Used to sweep bullet paths for hits
+   * @param {number} initialSize - Bullets to create up front
+   */
+  constructor(scene, world, particles, collisionManager, initialSize = 30) {
+    // Called with (bullet, hit) once when any bullet from the pool hits something
+    this.onImpact = null
+
+    this.pool = Utils.createObjectPool(
+      () => {
+        const bullet = new Bullet(scene, world, particles, collisionManager)
+        bullet.onImpact = (impactBullet, hit) => {
+          if (this.onImpact) this.onImpact(impactBullet, hit)
+        }
+        return bullet
+      },
+      bullet => bullet.removeFromScene(),
+      initialSize
+    )
+  }
+
+  /**
+   * Fire a bullet from the pool
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {THREE.Vector3} direction - Normalized travel direction
+   * @param {object} options - See Bullet.activate
+   * @returns {Bullet}
+   */
+  spawn(position, direction, options = {}) {
+    const bullet = this.pool.get()
+    bullet.activate(position, direction, options)
+    return bullet
+  }
+
+  // Return a bullet once it has hit something or expired
+  release(bullet) {
+    this.pool.release(bullet)
+  }
+
+  // Getters
+  getStats() {
+    return this.pool.getStats()
+  }
+}
@@ -1,8 +1,13 @@
+import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
+import { TriggerVolume } from './TriggerVolume.js'
+import { SpatialHashBroadphase } from '../utils/SpatialHashBroadphase.js'
 
 export class CollisionManager {
   constructor(world) {
     this.world = world
+    this.triggers = []
+    this.setupBroadphase()
     this.setupCollisionGroups()
     this.setupContactMaterials()
   }
@@ -15,20 +20,29 @@ export class CollisionManager {
       ZOMBIE: 4,
       BULLET: 8,
       BUILDING: 16,
-      VEGETATION: 32
+      VEGETATION: 32,
+      CORPSE: 64
     }
     
-    // Set up collision masks (what each group can collide with)
+    // Set up collision masks (what each group can collide with); a pair only collides if both masks allow it
     this.COLLISION_MASKS = {
-      GROUND: this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BULLET,
+      GROUND: this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BULLET | this.COLLISION_GROUPS.CORPSE,
       PLAYER: this.COLLISION_GROUPS.GROUND | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BUILDING | this.COLLISION_GROUPS.VEGETATION,
-      ZOMBIE: this.COLLISION_GROUPS.GROUND | this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.BULLET | this.COLLISION_GROUPS.BUILDING | this.COLLISION_GROUPS.VEGETATION,
+      ZOMBIE: this.COLLISION_GROUPS.GROUND | this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BULLET | this.COLLISION_GROUPS.BUILDING | this.COLLISION_GROUPS.VEGETATION,
       BULLET: this.COLLISION_GROUPS.GROUND | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BUILDING | this.COLLISION_GROUPS.VEGETATION,
-      BUILDING: this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BULLET,
-      VEGETATION: this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BULLET
+      BUILDING: this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BULLET | this.COLLISION_GROUPS.CORPSE,
+      VEGETATION: this.COLLISION_GROUPS.PLAYER | this.COLLISION_GROUPS.ZOMBIE | this.COLLISION_GROUPS.BULLET | this.COLLISION_GROUPS.CORPSE,
+      CORPSE: this.COLLISION_GROUPS.GROUND | this.COLLISION_GROUPS.BULLET | this.COLLISION_GROUPS.BUILDING | this.COLLISION_GROUPS.VEGETATION | this.COLLISION_GROUPS.CORPSE
     }
   }
 
+  setupBroadphase() {
+    // Collision pairs, raycasts and overlap queries all look bodies up in one spatial hash
+    this.broadphase = new SpatialHashBroadphase(4)
+    this.world.broadphase = this.broadphase
+    this.broadphase.setWorld(this.world)
+  }
+
   setupContactMaterials() {
     // Create materials
     this.materials = {
@@ -128,6 +142,28 @@ export class CollisionManager {
     this.world.addContactMaterial(zombieBuildingContact)
   }
 
+  /**
+   * Set a body up the way every body in the game should be: its collision group and mask, the shared
+   * contact material, and a back-reference to the game object that owns it
+   * @param {CANNON.Body} body - Body to register; add it to the world afterwards
+   * @param {object} options - group (COLLISION_GROUPS key), material (materials key), entity (owner),
+   *   plus anything else to keep in body.userData, such as hitZone or surface
+   * @returns {CANNON.Body} The same body
+   */
+  registerBody(body, options = {}) {
+    const { group, material = null, entity = null, ...userData } = options
+    
+    if (group) {
+      this.setBodyCollisionGroup(body, group)
+    }
+    if (material) {
+      this.setBodyMaterial(body, material)
+    }
+    body.userData = { ...body.userData, ...userData, entity, group }
+    
+    return body
+  }
+
   setBodyCollisionGroup(body, groupName) {
     if (this.COLLISION_GROUPS[groupName] !== undefined) {
       body.collisionFilterGroup = this.COLLISION_GROUPS[groupName]
@@ -141,69 +177,79 @@ export class CollisionManager {
     }
   }
 
+  // Fire trigger callbacks; bullet hits are found by sweep() and raised on Game's event bus
   update() {
-    // This method can be used for any custom collision handling
-    // that needs to happen each frame
+    this.updateTriggers()
+  }
+
+  // Utility methods for raycasting
+  raycast(from, to, options = {}) {
+    const result = new CANNON.RaycastResult()
+    this.world.raycastClosest(from, to, { skipBackfaces: true, ...options }, result)
+    return result
+  }
+
+  /**
+   * Check if there's a clear line of sight between two points
+   * @param {CANNON.Vec3|THREE.Vector3} from - Start point
+   * @param {CANNON.Vec3|THREE.Vector3} to - End point
+   * @param {object} options - ignoreBodies: bodies that never block, staticOnly: only static bodies block
+   * @returns {boolean}
+   */
+  hasLineOfSight(from, to, options = {}) {
+    const { ignoreBodies = [], staticOnly = false } = options
+    let blocked = false
     
-    // Check for collision events
-    this.world.contacts.forEach(contact => {
-      this.handleContact(contact)
+    this.world.raycastAll(from, to, { skipBackfaces: true }, (result) => {
+      const body = result.body
+      if (ignoreBodies.includes(body)) return
+      if (staticOnly && body.type !== CANNON.Body.STATIC) return
+      
+      blocked = true
+      result.abort()
     })
+    
+    return !blocked
   }
 
-  handleContact(contact) {
-    // Custom contact handling can be implemented here
-    // For example, playing sound effects on specific collisions
+  /**
+   * Swept collision test for fast movers: the first body along the path travelled since the last step
+   * @param {CANNON.Vec3|THREE.Vector3} from - Position at the previous step
+   * @param {CANNON.Vec3|THREE.Vector3} to - Position now
+   * @param {object} options - ignoreBodies: bodies that can't be hit, such as whoever fired
+   * @returns {object} { hit: false }, or the hit point and normal (THREE.Vector3), body, entity, distance
+   *   and type: 'entity' for zombies, the player and corpses, 'environment' for everything else
+   */
+  sweep(from, to, options = {}) {
+    const { ignoreBodies = [] } = options
+    let closest = null
     
-    const bodyA = contact.bi
-    const bodyB = contact.bj
+    // Bodies that don't respond to collisions (triggers) are skipped by the ray itself
+    this.world.raycastAll(from, to, { skipBackfaces: true, checkCollisionResponse: true }, (result) => {
+      if (ignoreBodies.includes(result.body)) return
+      if (closest && result.distance >= closest.distance) return
     
-    // Example: Handle bullet impacts
-    if (this.isBulletContact(bodyA, bodyB)) {
-      this.handleBulletImpact(contact)
+      closest = {
+        point: new THREE.Vector3(result.hitPointWorld.x, result.hitPointWorld.y, result.hitPointWorld.z),
+        normal: new THREE.Vector3(result.hitNormalWorld.x, result.hitNormalWorld.y, result.hitNormalWorld.z),
+        body: result.body,
+        distance: result.distance
+      }
+    })
+    
+    if (!closest) {
+      return { hit: false }
     }
     
-    // Example: Handle player-zombie collisions
-    if (this.isPlayerZombieContact(bodyA, bodyB)) {
-      this.handlePlayerZombieCollision(contact)
+    const entity = this.getEntityFromBody(closest.body)
+    return {
+      hit: true,
+      ...closest,
+      entity,
+      type: entity ? 'entity' : 'environment'
     }
   }
 
-  isBulletContact(bodyA, bodyB) {
-    return (bodyA.collisionFilterGroup === this.COLLISION_GROUPS.BULLET) ||
-           (bodyB.collisionFilterGroup === this.COLLISION_GROUPS.BULLET)
-  }
-
-  isPlayerZombieContact(bodyA, bodyB) {
-    return (bodyA.collisionFilterGroup === this.COLLISION_GROUPS.PLAYER && 
-            bodyB.collisionFilterGroup === this.COLLISION_GROUPS.ZOMBIE) ||
-           (bodyA.collisionFilterGroup === this.COLLISION_GROUPS.ZOMBIE && 
-            bodyB.collisionFilterGroup === this.COLLISION_GROUPS.PLAYER)
-  }
-
-  handleBulletImpact(contact) {
-    // Could trigger impact effects, sounds, etc.
-    // This is called automatically by the physics engine
-  }
-
-  handlePlayerZombieCollision(contact) {
-    // Could trigger damage effects, sounds, etc.
-    // This is called automatically by the physics engine
-  }
-
-  // Utility methods for raycasting
-  raycast(from, to, options = {}) {
-    const result = new CANNON.RaycastResult()
-    this.world.rayTest(from, to, result)
-    return result
-  }
-
-  // Check if there's a clear line of sight between two points
-  hasLineOfSight(from, to) {
-    const result = this.raycast(from, to)
-    return !result.hasHit
-  }
-
   // Find the closest hit point along a ray
   getClosestHit(from, direction, maxDistance = 100) {
     const to = new CANNON.Vec3()
@@ -218,10 +264,123 @@ export class CollisionManager {
         point: result.hitPointWorld,
         normal: result.hitNormalWorld,
         body: result.body,
+        entity: this.getEntityFromBody(result.body),
         distance: from.distanceTo(result.hitPointWorld)
       }
     }
     
     return { hit: false }
   }
+
+  /**
+   * Add a sensor volume that reports bodies entering, staying in and leaving it without pushing them
+   * @param {object} options - TriggerVolume options: shape, position, radius or halfExtents, groups,
+   *   onEnter, onStay and onExit
+   * @returns {TriggerVolume} Keep it to move, disable or remove the trigger later
+   */
+  addTrigger(options = {}) {
+    const trigger = new TriggerVolume(options)
+    this.triggers.push(trigger)
+    return trigger
+  }
+
+  removeTrigger(trigger) {
+    trigger.enabled = false
+    trigger.bodies.clear()
+    
+    const index = this.triggers.indexOf(trigger)
+    if (index > -1) {
+      this.triggers.splice(index, 1)
+    }
+  }
+
+  updateTriggers() {
+    // Copy so callbacks can add or remove triggers
+    this.triggers.slice().forEach(trigger => {
+      if (!trigger.enabled) return
+      
+      const options = { groups: trigger.groups }
+      const bodies = trigger.shape === 'box'
+        ? this.overlapBox(trigger.position, trigger.halfExtents, options)
+        : this.overlapSphere(trigger.position, trigger.radius, options)
+      trigger.update(bodies)
+    })
+  }
+
+  /**
+   * Find the bodies whose bounding boxes overlap a sphere
+   * @param {CANNON.Vec3|THREE.Vector3} center - Sphere center
+   * @param {number} radius - Sphere radius
+   * @param {object} options - groups: COLLISION_GROUPS names to include (all when left out),
+   *   ignoreBodies: bodies to leave out
+   * @returns {CANNON.Body[]}
+   */
+  overlapSphere(center, radius, options = {}) {
+    const radiusSquared = radius * radius
+    const min = { x: center.x - radius, y: center.y - radius, z: center.z - radius }
+    const max = { x: center.x + radius, y: center.y + radius, z: center.z + radius }
+    
+    return this.queryBodies(min, max, options, (lower, upper) => {
+      // Distance from the center to the closest point of the box
+      const dx = Math.max(lower.x - center.x, 0, center.x - upper.x)
+      const dy = Math.max(lower.y - center.y, 0, center.y - upper.y)
+      const dz = Math.max(lower.z - center.z, 0, center.z - upper.z)
+      return dx * dx + dy * dy + dz * dz <= radiusSquared
+    })
+  }
+
+  /**
+   * Find the bodies whose bounding boxes overlap an axis-aligned box
+   * @param {CANNON.Vec3|THREE.Vector3} center - Box center
+   * @param {CANNON.Vec3|THREE.Vector3} halfExtents - Half the box size along each axis
+   * @param {object} options - Same as overlapSphere
+   * @returns {CANNON.Body[]}
+   */
+  overlapBox(center, halfExtents, options = {}) {
+    const min = { x: center.x - halfExtents.x, y: center.y - halfExtents.y, z: center.z - halfExtents.z }
+    const max = { x: center.x + halfExtents.x, y: center.y + halfExtents.y, z: center.z + halfExtents.z }
+    
+    // The broadphase already tests box against box
+    return this.queryBodies(min, max, options, () => true)
+  }
+
+  // The distinct entities (zombies, the player, ...) with a body inside a sphere; a zombie's ragdoll parts count once
+  getEntitiesInSphere(center, radius, options = {}) {
+    const entities = new Set()
+    this.overlapSphere(center, radius, options).forEach(body => {
+      const entity = this.getEntityFromBody(body)
+      if (entity) entities.add(entity)
+    })
+    return [...entities]
+  }
+
+  // Bodies near a box (from the broadphase) in the given groups whose bounding box passes the overlap test
+  queryBodies(min, max, options, overlaps) {
+    const { groups = null, ignoreBodies = [] } = options
+    const mask = groups ? this.getGroupMask(groups) : -1
+    
+    return this.broadphase.queryBox(min, max).filter(body => {
+      if (!(body.collisionFilterGroup & mask)) return false
+      if (ignoreBodies.includes(body)) return false
+      return overlaps(body.aabb.lowerBound, body.aabb.upperBound)
+    })
+  }
+
+  getGroupMask(groupNames) {
+    return groupNames.reduce((mask, groupName) => {
+      if (this.COLLISION_GROUPS[groupName] === undefined) {
+        throw new Error(`Unknown collision group: ${groupName}`)
+      }
+      return mask | this.COLLISION_GROUPS[groupName]
+    }, 0)
+  }
+
+  /**
+   * Find the game entity (zombie, player, ...) that owns a physics body
+   * @param {CANNON.Body} body - Physics body
+   * @returns {object|null} Owning entity, or null for environment bodies
+   */
+  getEntityFromBody(body) {
+    return body && body.userData ? body.userData.entity : null
+  }
 }
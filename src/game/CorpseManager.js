@@ -0,0 +1,99 @@
+export const CORPSE_SETTINGS = {
+  lifetime: 15000, // Milliseconds a corpse stays before fading
+  maxCorpses: 12, // Oldest corpses start fading early beyond this
+  fadeDuration: 1500,
+  settleTime: 4000 // Ragdolls stop simulating after this long, or sooner once at rest
+}
+
+/**
+ * CorpseManager class for dead zombies
+ * Keeps ragdolls simulating for a while, freezes them once they settle,
+ * then fades them out and removes them when they're old or there are too many
+ */
+export class CorpseManager {
+  /**
+   * @param {object} settings - Overrides for CORPSE_SETTINGS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...CORPSE_SETTINGS, ...settings }
+    this.corpses = [] // { zombie, age }, oldest first
+
+    // Called with (zombie) once its corpse is gone; defaults to removing it from the scene
+    this.onCorpseRemoved = null
+  }
+
+  /**
+   * Take ownership of a dead zombie; it is removed from the scene when its corpse fades
+   * @param {Zombie} zombie - Zombie that has died
+   */
+  add(zombie) {
+    this.corpses.push({ zombie, age: 0 })
+
+    // Too many bodies: make the oldest ones that aren't already fading start now
+    const excess = this.corpses.length - this.settings.maxCorpses
+    for (let i = 0; i < excess; i++) {
+      const corpse = this.corpses[i]
+      corpse.age = Math.max(corpse.age, this.settings.lifetime)
+    }
+  }
+
+  update(deltaTime) {
+    const { lifetime, fadeDuration, settleTime } = this.settings
+
+    for (let i = this.corpses.length - 1; i >= 0; i--) {
+      const corpse = this.corpses[i]
+      const ragdoll = corpse.zombie.getRagdoll()
+      corpse.age += deltaTime * 1000
+
+      if (ragdoll) {
+        ragdoll.update()
+
+        // Give the body a moment to fall before checking whether it has stopped
+        if (ragdoll.isActive() && (corpse.age >= settleTime || (corpse.age >= 1000 && ragdoll.isAtRest()))) {
+          ragdoll.settle()
+        }
+      }
+
+      if (corpse.age < lifetime) continue
+
+      const opacity = 1 - (corpse.age - lifetime) / fadeDuration
+      if (opacity > 0) {
+        if (ragdoll) ragdoll.setOpacity(opacity)
+        continue
+      }
+
+      this.removeCorpse(corpse)
+      this.corpses.splice(i, 1)
+    }
+  }
+
+  // Draw moving ragdolls between the last two physics steps (alpha 0 = previous, 1 = latest)
+  interpolate(alpha) {
+    this.corpses.forEach(corpse => {
+      const ragdoll = corpse.zombie.getRagdoll()
+      if (ragdoll) ragdoll.update(alpha)
+    })
+  }
+
+  clear() {
+    this.corpses.forEach(corpse => this.removeCorpse(corpse))
+    this.corpses = []
+  }
+
+  removeCorpse(corpse) {
+    if (this.onCorpseRemoved) {
+      this.onCorpseRemoved(corpse.zombie)
+    } else {
+      corpse.zombie.removeFromScene()
+    }
+  }
+
+  // Getters
+  getCount() {
+    return this.corpses.length
+  }
+
+  getZombies() {
+    return this.corpses.map(corpse => corpse.zombie)
+  }
+}
@@ -0,0 +1,104 @@
+import * as THREE from 'three'
+
+export const CROWD_STEERING = {
+  neighbourRadius: 3, // How far a zombie looks for neighbours
+  personalSpace: 0.4, // Extra gap kept on top of both body radii
+  separationWeight: 1.6,
+  alignmentWeight: 0.3,
+  cohesionWeight: 0.1,
+  maxNeighbours: 8 // Cap on neighbours considered so dense hordes stay cheap
+}
+
+const neighbours = []
+const separation = new THREE.Vector3()
+const alignment = new THREE.Vector3()
+const cohesion = new THREE.Vector3()
+
+/**
+ * CrowdSteering class for local avoidance between zombies
+ * Blends separation, alignment and cohesion into each zombie's desired direction,
+ * using the game's zombie spatial hash so neighbour lookups stay cheap in large hordes
+ */
+export class CrowdSteering {
+  /**
+   * @param {SpatialHash} spatialHash - Live zombies, moved by Game as they walk
+   * @param {object} config - Overrides for CROWD_STEERING
+   */
+  constructor(spatialHash, config = {}) {
+    this.config = { ...CROWD_STEERING, ...config }
+    this.spatialHash = spatialHash
+  }
+
+  /**
+   * Bend a zombie's desired direction away from its neighbours
+   * @param {Zombie} zombie - Zombie being steered
+   * @param {THREE.Vector3} direction - Normalized horizontal desired direction, updated in place
+   * @param {number} desiredWeight - How strongly the zombie wants to go its own way (0 = only avoid others)
+   * @returns {THREE.Vector3} The steered direction (not normalized when desiredWeight is 0)
+   */
+  steer(zombie, direction, desiredWeight = 1) {
+    const position = zombie.getMesh().position
+    const config = this.config
+
+    this.spatialHash.queryRadius(position.x, position.z, config.neighbourRadius, neighbours)
+
+    separation.set(0, 0, 0)
+    alignment.set(0, 0, 0)
+    cohesion.set(0, 0, 0)
+    let count = 0
+
+    for (let i = 0; i < neighbours.length && count < config.maxNeighbours; i++) {
+      const other = neighbours[i]
+      if (other === zombie) continue
+
+      const otherPosition = other.getMesh().position
+      const dx = position.x - otherPosition.x
+      const dz = position.z - otherPosition.z
+      const distance = Math.sqrt(dx * dx + dz * dz)
+
+      // Push apart harder the deeper a neighbour is inside our personal space
+      const comfortDistance = zombie.radius + other.radius + config.personalSpace
+      if (distance < comfortDistance) {
+        if (distance > 0.0001) {
+          const strength = (comfortDistance - distance) / comfortDistance
+          separation.x += (dx / distance) * strength
+          separation.z += (dz / distance) * strength
+        } else {
+          // Exactly on top of each other; pick any direction
+          separation.x += Math.random() - 0.5
+          separation.z += Math.random() - 0.5
+        }
+      }
+
+      const velocity = other.body.velocity
+      alignment.x += velocity.x
+      alignment.z += velocity.z
+      cohesion.x += otherPosition.x
+      cohesion.z += otherPosition.z
+      count++
+    }
+
+    direction.multiplyScalar(desiredWeight)
+    if (count === 0) return direction
+
+    direction.addScaledVector(separation, config.separationWeight)
+
+    if (alignment.lengthSq() > 0.0001) {
+      direction.addScaledVector(alignment.normalize(), config.alignmentWeight * desiredWeight)
+    }
+
+    cohesion.divideScalar(count)
+    cohesion.x -= position.x
+    cohesion.z -= position.z
+    if (cohesion.lengthSq() > 0.0001) {
+      direction.addScaledVector(cohesion.normalize(), config.cohesionWeight * desiredWeight)
+    }
+
+    direction.y = 0
+    if (desiredWeight > 0 && direction.lengthSq() > 0.0001) {
+      direction.normalize()
+    }
+
+    return direction
+  }
+}
@@ -1,10 +1,19 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
+import { InstancedBatch } from '../utils/InstancedBatch.js'
+import { resourceCache } from '../utils/ResourceCache.js'
+
+// Scratch object for composing instance transforms
+const dummy = new THREE.Object3D()
 
 export class Environment {
-  constructor(scene, world) {
+  constructor(scene, world, collisionManager) {
     this.scene = scene
     this.world = world
+    this.collisionManager = collisionManager
+    
+    // Static physics bodies, used to build the navigation grid
+    this.staticBodies = []
     
     this.createTerrain()
     this.createBuildings()
@@ -32,7 +41,7 @@ export class Environment {
     const groundBody = new CANNON.Body({ mass: 0 })
     groundBody.addShape(groundShape)
     groundBody.position.set(0, -0.1, 0)
-    this.world.addBody(groundBody)
+    this.addStaticBody(groundBody, { group: 'GROUND', material: 'ground', surface: 'ground' })
     
     // Roads
     this.createRoads()
@@ -62,25 +71,25 @@ export class Environment {
   }
 
   createRoadMarkings() {
+    const markingGeometry = new THREE.PlaneGeometry(0.3, 4)
     const markingMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff })
+    this.roadMarkings = new InstancedBatch(this.scene, markingGeometry, markingMaterial)
     
     // Center line markings
     for (let i = -90; i <= 90; i += 10) {
-      const markingGeometry = new THREE.PlaneGeometry(0.3, 4)
-      const marking = new THREE.Mesh(markingGeometry, markingMaterial)
-      marking.rotation.x = -Math.PI / 2
-      marking.position.set(0, 0.02, i)
-      this.scene.add(marking)
+      dummy.rotation.set(-Math.PI / 2, 0, 0)
+      dummy.position.set(0, 0.02, i)
+      this.addInstance(this.roadMarkings)
     }
     
-    // Horizontal center line
+    // Horizontal center line (the same marking turned sideways)
     for (let i = -90; i <= 90; i += 10) {
-      const markingGeometry = new THREE.PlaneGeometry(4, 0.3)
-      const marking = new THREE.Mesh(markingGeometry, markingMaterial)
-      marking.rotation.x = -Math.PI / 2
-      marking.position.set(i, 0.02, 0)
-      this.scene.add(marking)
+      dummy.rotation.set(-Math.PI / 2, 0, Math.PI / 2)
+      dummy.position.set(i, 0.02, 0)
+      this.addInstance(this.roadMarkings)
     }
+    
+    this.roadMarkings.end()
   }
 
   createBuildings() {
@@ -95,16 +104,24 @@ export class Environment {
       { x: -25, z: -25, width: 11, height: 18, depth: 8 }
     ]
     
+    // Every window on every building is one instanced mesh
+    const windowGeometry = new THREE.PlaneGeometry(0.8, 1.2)
+    const windowMaterial = new THREE.MeshBasicMaterial({ color: 0x6666ff })
+    this.windows = new InstancedBatch(this.scene, windowGeometry, windowMaterial, { capacity: 512 })
+    
     buildingPositions.forEach(pos => {
       this.createBuilding(pos.x, pos.z, pos.width, pos.height, pos.depth)
     })
+    
+    this.windows.end()
   }
 
   createBuilding(x, z, width, height, depth) {
     // Building geometry
     const buildingGeometry = new THREE.BoxGeometry(width, height, depth)
-    const buildingMaterial = new THREE.MeshLambertMaterial({ 
-      color: this.getRandomBuildingColor() 
+    const color = this.getRandomBuildingColor()
+    const buildingMaterial = resourceCache.getMaterial(`building-${color}`, () => {
+      return new THREE.MeshLambertMaterial({ color })
     })
     
     const building = new THREE.Mesh(buildingGeometry, buildingMaterial)
@@ -118,7 +135,7 @@ export class Environment {
     const buildingBody = new CANNON.Body({ mass: 0 })
     buildingBody.addShape(buildingShape)
     buildingBody.position.set(x, height / 2, z)
-    this.world.addBody(buildingBody)
+    this.addStaticBody(buildingBody, { group: 'BUILDING', material: 'building', surface: 'building' })
     
     // Add windows
     this.addWindows(building, width, height, depth)
@@ -128,34 +145,25 @@ export class Environment {
   }
 
   addWindows(building, width, height, depth) {
-    const windowMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0x6666ff,
-      emissive: 0x111133 
-    })
-    
     // Front and back windows
     const windowsPerRow = Math.floor(width / 2)
     const windowRows = Math.floor(height / 3)
+    const center = building.position
     
     for (let row = 0; row < windowRows; row++) {
       for (let col = 0; col < windowsPerRow; col++) {
+        const x = center.x - width / 2 + (col + 0.5) * (width / windowsPerRow)
+        const y = center.y - height / 2 + (row + 1) * (height / (windowRows + 1))
+        
         // Front windows
-        const frontWindow = new THREE.Mesh(
-          new THREE.PlaneGeometry(0.8, 1.2),
-          windowMaterial
-        )
-        frontWindow.position.set(
-          -width / 2 + (col + 0.5) * (width / windowsPerRow),
-          -height / 2 + (row + 1) * (height / (windowRows + 1)),
-          depth / 2 + 0.01
-        )
-        building.add(frontWindow)
+        dummy.rotation.set(0, 0, 0)
+        dummy.position.set(x, y, center.z + depth / 2 + 0.01)
+        this.addInstance(this.windows)
         
         // Back windows
-        const backWindow = frontWindow.clone()
-        backWindow.position.z = -depth / 2 - 0.01
-        backWindow.rotation.y = Math.PI
-        building.add(backWindow)
+        dummy.rotation.set(0, Math.PI, 0)
+        dummy.position.set(x, y, center.z - depth / 2 - 0.01)
+        this.addInstance(this.windows)
       }
     }
   }
@@ -163,7 +171,9 @@ export class Environment {
   addRooftop(x, z, width, height, depth) {
     // Simple rooftop structure
     const rooftopGeometry = new THREE.BoxGeometry(width * 0.8, 1, depth * 0.8)
-    const rooftopMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 })
+    const rooftopMaterial = resourceCache.getMaterial('rooftop', () => {
+      return new THREE.MeshLambertMaterial({ color: 0x666666 })
+    })
     
     const rooftop = new THREE.Mesh(rooftopGeometry, rooftopMaterial)
     rooftop.position.set(x, height + 0.5, z)
@@ -172,6 +182,19 @@ export class Environment {
   }
 
   createVegetation() {
+    // Trees and bushes are drawn as instanced meshes, one per part
+    const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.5, 4, 8)
+    const trunkMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+    this.treeTrunks = new InstancedBatch(this.scene, trunkGeometry, trunkMaterial, { castShadow: true })
+    
+    const leavesGeometry = new THREE.SphereGeometry(2.5, 8, 8)
+    const leavesMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 })
+    this.treeLeaves = new InstancedBatch(this.scene, leavesGeometry, leavesMaterial, { castShadow: true })
+    
+    const bushGeometry = new THREE.SphereGeometry(0.8, 6, 6)
+    const bushMaterial = new THREE.MeshLambertMaterial({ color: 0x32CD32 })
+    this.bushes = new InstancedBatch(this.scene, bushGeometry, bushMaterial, { castShadow: true })
+    
     // Trees
     for (let i = 0; i < 30; i++) {
       const x = (Math.random() - 0.5) * 180
@@ -202,47 +225,43 @@ export class Environment {
       
       this.createBush(x, z)
     }
+    
+    this.treeTrunks.end()
+    this.treeLeaves.end()
+    this.bushes.end()
   }
 
   createTree(x, z) {
-    const treeGroup = new THREE.Group()
+    dummy.rotation.set(0, 0, 0)
     
     // Trunk
-    const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.5, 4, 8)
-    const trunkMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 })
-    const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial)
-    trunk.position.y = 2
-    trunk.castShadow = true
-    treeGroup.add(trunk)
+    dummy.position.set(x, 2, z)
+    this.addInstance(this.treeTrunks)
     
     // Leaves
-    const leavesGeometry = new THREE.SphereGeometry(2.5, 8, 8)
-    const leavesMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 })
-    const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial)
-    leaves.position.y = 5
-    leaves.castShadow = true
-    treeGroup.add(leaves)
-    
-    treeGroup.position.set(x, 0, z)
-    this.scene.add(treeGroup)
+    dummy.position.set(x, 5, z)
+    this.addInstance(this.treeLeaves)
     
     // Tree physics (trunk only)
     const treeShape = new CANNON.Cylinder(0.5, 0.3, 4, 8)
     const treeBody = new CANNON.Body({ mass: 0 })
     treeBody.addShape(treeShape)
     treeBody.position.set(x, 2, z)
-    this.world.addBody(treeBody)
+    this.addStaticBody(treeBody, { group: 'VEGETATION', surface: 'wood' })
   }
 
   createBush(x, z) {
-    const bushGeometry = new THREE.SphereGeometry(0.8, 6, 6)
-    const bushMaterial = new THREE.MeshLambertMaterial({ color: 0x32CD32 })
-    
-    const bush = new THREE.Mesh(bushGeometry, bushMaterial)
-    bush.position.set(x, 0.4, z)
-    bush.scale.y = 0.6
-    bush.castShadow = true
-    this.scene.add(bush)
+    dummy.rotation.set(0, 0, 0)
+    dummy.position.set(x, 0.4, z)
+    dummy.scale.set(1, 0.6, 1)
+    this.addInstance(this.bushes)
+    dummy.scale.set(1, 1, 1)
+  }
+
+  // Add the transform currently held by dummy to a batch
+  addInstance(batch) {
+    dummy.updateMatrix()
+    batch.add(dummy.matrix)
   }
 
   createSkybox() {
@@ -281,6 +300,21 @@ export class Environment {
     this.scene.add(sky)
   }
 
+  /**
+   * @param {CANNON.Body} body - Static body to add to the world
+   * @param {object} options - Registration options for CollisionManager.registerBody; surface says what it's made of
+   *   so impacts can pick an effect (ground, building, wood)
+   */
+  addStaticBody(body, options) {
+    this.collisionManager.registerBody(body, options)
+    this.world.addBody(body)
+    this.staticBodies.push(body)
+  }
+
+  getStaticBodies() {
+    return this.staticBodies
+  }
+
   getRandomBuildingColor() {
     const colors = [
       0x8B8B8B, // Gray
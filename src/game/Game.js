@@ -2,9 +2,34 @@ import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import { Player } from './Player.js'
 import { Zombie } from './Zombie.js'
+import { ZombiePool } from './ZombiePool.js'
+import { ZombieRegistry } from './ZombieRegistry.js'
+import { BossZombie } from './BossZombie.js'
+import { Pickup } from './Pickup.js'
+import { CrowdSteering } from './CrowdSteering.js'
+import { CorpseManager } from './CorpseManager.js'
+import { RAGDOLL } from './Ragdoll.js'
+import { ZombieRenderer } from './ZombieRenderer.js'
+import { AIDebugOverlay } from './AIDebugOverlay.js'
+import { BulletPool } from './BulletPool.js'
+import { ParticleSystem } from './ParticleSystem.js'
 import { Environment } from './Environment.js'
 import { CollisionManager } from './CollisionManager.js'
+import { WaveDirector } from './WaveDirector.js'
+import { NavigationGrid } from './NavigationGrid.js'
+import { DAMAGE_TYPES } from './HealthSystem.js'
+import { GameStats } from './GameStats.js'
+import { GAME_EVENTS } from './GameEvents.js'
 import { InputManager } from '../utils/InputManager.js'
+import { EventBus } from '../utils/EventBus.js'
+import { HighScoreStorage } from '../utils/HighScoreStorage.js'
+import { Utils } from '../utils/Utils.js'
+import { SpatialHash } from '../utils/SpatialHash.js'
+import { simulationClock } from '../utils/SimulationClock.js'
+
+const SPAWN_CLEARANCE = 1.5 // Closest a new zombie may appear to a live one
+const SPAWN_ATTEMPTS = 8
+const spawnBlockers = []
 
 export class Game {
   constructor() {
@@ -14,15 +39,33 @@ export class Game {
     this.world = null
     this.player = null
     this.zombies = []
+    this.zombieRegistry = new ZombieRegistry()
+    this.enemyProjectiles = [] // Acid spit and other zombie projectiles in flight
+    this.activeBoss = null
+    this.pickups = []
+    this.pickupTriggers = new Map() // Pickup -> TriggerVolume that collects it
+    this.meleeReach = null
+    this.zombieIndex = new SpatialHash(4) // Live zombies by position, kept up to date as they move
+    this.crowdSteering = new CrowdSteering(this.zombieIndex)
+    this.corpseManager = new CorpseManager()
+    this.zombieRenderer = null
+    this.aiDebugOverlay = null
+    this.particles = null
+    this.bulletPool = null
+    this.zombiePool = null
     this.environment = null
     this.inputManager = null
     this.collisionManager = null
+    this.waveDirector = null
+    this.navigationGrid = null
+    this.stats = new GameStats()
+    this.events = new EventBus(Object.values(GAME_EVENTS)) // Gameplay events for HUD, stats, effects and audio
+    this.highScores = new HighScoreStorage()
+    this.mode = 'survival'
+    this.lastRun = null // { summary, entry, rank } of the most recent finished run
     
-    this.clock = new THREE.Clock()
+    this.clock = new THREE.Clock() // Real frame time, fed to simulationClock in fixed steps
     this.isGameStarted = false
-    this.zombieSpawnTimer = 0
-    this.zombieSpawnInterval = 3000 // 3 seconds
-    this.maxZombies = 10
     this.gameRunning = false
   }
 
@@ -33,6 +76,7 @@ export class Game {
     this.setupCamera()
     this.setupLights()
     this.setupEntities()
+    this.setupEventSubscribers()
     this.setupEventListeners()
     this.animate()
   }
@@ -52,6 +96,9 @@ export class Game {
     
     // Add fog for atmosphere
     this.scene.fog = new THREE.Fog(0x87CEEB, 50, 200)
+    
+    // Zombies are drawn in batches rather than one mesh per body part
+    this.zombieRenderer = new ZombieRenderer(this.scene)
   }
 
   setupPhysics() {
@@ -103,30 +150,204 @@ export class Game {
 
   setupEntities() {
     // Create environment
-    this.environment = new Environment(this.scene, this.world)
+    this.environment = new Environment(this.scene, this.world, this.collisionManager)
+    
+    // Build navigation grid from the environment's static obstacles
+    this.navigationGrid = new NavigationGrid()
+    this.navigationGrid.buildFromBodies(this.environment.getStaticBodies())
+    
+    // Bullets, effect particles and zombies are reused rather than allocated per shot or spawn
+    this.particles = new ParticleSystem(this.scene)
+    this.bulletPool = new BulletPool(this.scene, this.world, this.particles, this.collisionManager)
+    this.bulletPool.onImpact = (bullet, hit) => this.handleBulletImpact(bullet, hit)
+    this.zombiePool = new ZombiePool(this.scene, this.world, this.collisionManager)
+    this.corpseManager.onCorpseRemoved = (zombie) => this.zombiePool.release(zombie)
     
     // Create player
-    this.player = new Player(this.scene, this.world, this.camera)
+    this.player = new Player(this.scene, this.world, this.camera, this.collisionManager, this.bulletPool, this.particles)
+    this.player.onHitscanHit = (hit, damage) => {
+      this.events.emit(GAME_EVENTS.BULLET_IMPACT, { bullet: null, source: this.player, damage, hit })
+      this.handleShotHit(hit, damage)
+    }
+    this.player.onShotFired = (weapon, pelletCount) => this.stats.recordShotsFired(pelletCount)
+    this.player.onNoise = (position, radius) => this.emitNoise(position, radius)
+    
+    // Player health drives the health bar; damage and death go out as events
+    const playerHealth = this.player.getHealthSystem()
+    playerHealth.onHealthChanged = (health, maxHealth, damage) => {
+      this.updateHealthBar(health, maxHealth)
+      if (damage) {
+        this.emitDamage(this.player, damage, null, health)
+      }
+    }
+    playerHealth.onDamageBlocked = () => this.flashHealthBar()
+    playerHealth.onDeath = (damage) => this.events.emit(GAME_EVENTS.PLAYER_DIED, { player: this.player, damage })
+    this.updateHealthBar(playerHealth.getHealth(), playerHealth.getMaxHealth())
     
     // Create input manager
     this.inputManager = new InputManager(this.camera, this.player)
     
-    // Spawn initial zombies
-    this.spawnZombies(3)
+    // Create wave director (spawns zombies once the game starts)
+    this.waveDirector = new WaveDirector()
+    this.waveDirector.onSpawnRequested = (count, wave) => this.spawnZombies(count, wave)
+    this.waveDirector.onWaveStarted = (waveNumber) => this.events.emit(GAME_EVENTS.WAVE_STARTED, { waveNumber })
+    this.waveDirector.onWaveCleared = (waveNumber) => {
+      const bonus = this.stats.recordWaveCleared(waveNumber)
+      this.showWaveBanner(`Wave ${waveNumber} cleared! +${bonus}`)
+      
+      // Restock between waves
+      this.player.restockAmmo(2)
+    }
+    this.waveDirector.onBossRequested = (wave) => this.spawnBoss(wave)
+  }
+
+  /**
+   * Spawn zombies around the player
+   * @param {number} count - Number of zombies to spawn
+   * @param {object} wave - Optional wave settings used to scale zombie stats
+   * @param {object} options - Optional type id to force, and center, minDistance and maxDistance of the spawn ring
+   * @returns {number} Number of zombies spawned
+   */
+  spawnZombies(count, wave = null, options = {}) {
+    let spawned = 0
+    
+    for (let i = 0; i < count; i++) {
+      const spawnPoint = this.getSpawnPoint(options.center, options.minDistance, options.maxDistance)
+      if (!spawnPoint) continue
+      
+      // Pick an archetype by weight unless one was asked for; waves can override the weights with zombieWeights
+      const waveNumber = this.waveDirector ? this.waveDirector.getWaveNumber() : 1
+      const type = options.type
+        ? this.zombieRegistry.get(options.type)
+        : this.zombieRegistry.chooseType(waveNumber, wave ? wave.zombieWeights : null)
+      this.addZombie(this.zombiePool.acquire(type, spawnPoint.x, 0, spawnPoint.z), wave)
+      spawned++
+    }
+    
+    return spawned
+  }
+
+  /**
+   * Spawn the boss for a boss wave
+   * @param {object} wave - Wave settings; bossType names the zombie type to use
+   * @returns {BossZombie|null} The boss, or null if there was nowhere to spawn it
+   */
+  spawnBoss(wave) {
+    const spawnPoint = this.getSpawnPoint(undefined, 30, 40)
+    if (!spawnPoint) return null
+    
+    const boss = new BossZombie(this.scene, this.world, this.collisionManager, spawnPoint.x, 0, spawnPoint.z, this.zombieRegistry.get(wave.bossType))
+    boss.onPhaseChanged = () => this.showWaveBanner(`${boss.name} is enraged!`)
+    boss.onAreaAttack = (source, attack) => this.handleBossAreaAttack(source, attack)
+    boss.onSummon = (source, count, type) => {
+      this.spawnZombies(count, this.waveDirector.getCurrentWave(), {
+        type,
+        center: source.getMesh().position,
+        minDistance: 2,
+        maxDistance: 5
+      })
+    }
+    this.addZombie(boss, wave)
+    this.activeBoss = boss
+    
+    this.showWaveBanner(`Boss: ${boss.name}`)
+    return boss
   }
 
-  spawnZombies(count) {
-    for (let i = 0; i < count && this.zombies.length < this.maxZombies; i++) {
-      // Random spawn position around the player (but not too close)
+  /**
+   * Find a walkable spawn position in a ring around a point, clear of live zombies
+   * @param {THREE.Vector3} center - Ring center (defaults to the world origin)
+   * @param {number} minDistance - Inner ring radius
+   * @param {number} maxDistance - Outer ring radius
+   * @returns {THREE.Vector3|null} Walkable position, or null if none was found
+   */
+  getSpawnPoint(center = null, minDistance = 20, maxDistance = 50) {
+    for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+      // Random spawn position in the ring (but not too close)
       const angle = Math.random() * Math.PI * 2
-      const distance = 20 + Math.random() * 30
-      const x = Math.cos(angle) * distance
-      const z = Math.sin(angle) * distance
+      const distance = minDistance + Math.random() * (maxDistance - minDistance)
+      const position = this.navigationGrid.getNearestWalkablePosition(
+        (center ? center.x : 0) + Math.cos(angle) * distance,
+        (center ? center.z : 0) + Math.sin(angle) * distance
+      )
       
-      const zombie = new Zombie(this.scene, this.world, x, 0, z)
-      zombie.setTarget(this.player)
-      this.zombies.push(zombie)
+      // Don't drop a zombie inside another one
+      if (position && this.zombieIndex.queryRadius(position.x, position.z, SPAWN_CLEARANCE, spawnBlockers).length === 0) {
+        return position
+      }
     }
+    
+    return null
+  }
+
+  addZombie(zombie, wave = null) {
+    if (wave) {
+      zombie.applyWaveScaling(wave)
+    }
+    zombie.setTarget(this.player)
+    zombie.setNavigation(this.navigationGrid)
+    zombie.setCrowd(this.crowdSteering)
+    this.zombieIndex.insert(zombie, zombie.getMesh().position, zombie.radius)
+    
+    // New arrivals head for the player's rough area so waves find them; from there they rely on their senses
+    const lurePoint = this.getSpawnPoint(this.player.getPosition(), 0, 10)
+    if (lurePoint) {
+      zombie.getPerception().remember(lurePoint, 30000)
+    }
+    zombie.onDeath = (deadZombie, hitZone) => this.onZombieKilled(deadZombie, hitZone)
+    zombie.getHealthSystem().onHealthChanged = (health, maxHealth, damage) => {
+      if (damage) {
+        this.emitDamage(zombie, damage, zombie.lastHitZone, health)
+      }
+    }
+    this.zombies.push(zombie)
+  }
+
+  /**
+   * Stats and the HUD react to gameplay events rather than being called by each system
+   */
+  setupEventSubscribers() {
+    this.events.on(GAME_EVENTS.ENTITY_DAMAGED, ({ entity, amount, source }) => {
+      if (entity === this.player) {
+        this.stats.recordDamageTaken(amount)
+      } else if (source === this.player) {
+        this.stats.recordHit(amount)
+      }
+    })
+    
+    this.events.on(GAME_EVENTS.ZOMBIE_KILLED, ({ headshot, points }) => {
+      const multiplier = this.stats.getComboMultiplier()
+      const comboText = multiplier > 1 ? ` x${multiplier}` : ''
+      this.showKillNotice(`${headshot ? 'HEADSHOT! ' : ''}+${points}${comboText}`)
+    })
+    
+    this.events.on(GAME_EVENTS.WAVE_STARTED, ({ waveNumber }) => {
+      this.showWaveBanner(`Wave ${waveNumber}`)
+      this.stats.recordWaveStarted(waveNumber)
+    })
+    
+    this.events.on(GAME_EVENTS.PICKUP_COLLECTED, () => this.showKillNotice('Reward collected!'))
+    
+    this.events.on(GAME_EVENTS.PLAYER_DIED, () => this.gameOver())
+  }
+
+  /**
+   * Publish entity:damaged from a health system's damage descriptor
+   * @param {Player|Zombie} entity - Who was hurt
+   * @param {object} damage - Damage descriptor after HealthSystem.takeDamage; applied is the health lost
+   * @param {string|null} zone - Zombie hit zone
+   * @param {number} health - Health left
+   */
+  emitDamage(entity, damage, zone, health) {
+    this.events.emit(GAME_EVENTS.ENTITY_DAMAGED, {
+      entity,
+      amount: damage.applied,
+      type: damage.type,
+      source: damage.source,
+      hitPoint: damage.hitPoint,
+      zone,
+      health
+    })
   }
 
   setupEventListeners() {
@@ -135,19 +356,85 @@ export class Game {
     
     // Start game on click
     document.addEventListener('click', () => this.startGame(), { once: true })
+    
+    // Menu buttons in the start/game over overlay
+    const instructions = document.getElementById('instructions')
+    this.startScreenHTML = instructions.innerHTML
+    this.overlayView = 'start'
+    instructions.addEventListener('click', (event) => this.onOverlayClick(event))
+    instructions.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && event.target.id === 'playerName') {
+        this.handleMenuAction('save-name')
+      }
+    })
+    
+    document.getElementById('importScoresInput').addEventListener('change', (event) => {
+      const file = event.target.files[0]
+      event.target.value = ''
+      if (file) this.importScores(file)
+    })
+    
+    // Backquote toggles the AI debug overlay
+    this.aiDebugOverlay = new AIDebugOverlay(document.getElementById('aiDebug'))
+    document.addEventListener('keydown', (event) => {
+      if (event.code === 'Backquote') {
+        this.aiDebugOverlay.toggle()
+      }
+    })
+  }
+
+  onOverlayClick(event) {
+    const button = event.target.closest('[data-action]')
+    
+    // Only a click on the start screen itself starts the game; menu clicks must not grab the pointer
+    if (button || event.target.closest('input') || this.overlayView !== 'start') {
+      event.stopPropagation()
+    }
+    
+    if (button) {
+      this.handleMenuAction(button.dataset.action)
+    }
+  }
+
+  handleMenuAction(action) {
+    switch (action) {
+      case 'leaderboard':
+        this.showLeaderboard()
+        break
+      case 'back':
+        if (this.lastRun && this.isGameStarted && !this.gameRunning) {
+          this.showGameOverScreen()
+        } else {
+          this.showStartScreen()
+        }
+        break
+      case 'save-name':
+        this.saveRunName()
+        break
+      case 'restart':
+        this.restartGame()
+        break
+      case 'export':
+        this.highScores.exportToFile()
+        break
+      case 'import':
+        document.getElementById('importScoresInput').click()
+        break
+    }
   }
 
   startGame() {
     if (!this.isGameStarted) {
       this.isGameStarted = true
       this.gameRunning = true
+      simulationClock.resetAccumulator()
+      this.overlayView = null
       document.getElementById('instructions').classList.add('hidden')
       
       // Lock pointer for FPS controls
       document.body.requestPointerLock()
       
       console.log('Game started! Player position:', this.player.getPosition())
-      console.log('Zombies spawned:', this.zombies.length)
     }
   }
 
@@ -157,75 +444,267 @@ export class Game {
     this.renderer.setSize(window.innerWidth, window.innerHeight)
   }
 
+  /**
+   * Advance the game by one fixed step
+   * @param {number} deltaTime - Step length in seconds, always SIMULATION.timeStep
+   */
   update(deltaTime) {
     if (!this.gameRunning) return
 
     // Update physics world
-    this.world.fixedStep()
+    this.world.step(deltaTime)
+
+    // Update run time and combo
+    this.stats.update(deltaTime)
 
     // Update player
     this.player.update(deltaTime)
 
-    // Update zombies
-    this.zombies.forEach((zombie, index) => {
+    // Update zombies (iterate backwards so removal doesn't skip entries)
+    for (let i = this.zombies.length - 1; i >= 0; i--) {
+      const zombie = this.zombies[i]
       zombie.update(deltaTime)
       
-      // Remove dead zombies
+      // Dead zombies leave a ragdoll behind until their corpse fades
       if (zombie.isDead()) {
-        zombie.removeFromScene()
-        this.zombies.splice(index, 1)
+        this.zombieIndex.remove(zombie)
+        this.corpseManager.add(zombie)
+        this.zombies.splice(i, 1)
+      } else {
+        this.zombieIndex.insert(zombie, zombie.getMesh().position, zombie.radius)
       }
-    })
+    }
+    
+    // Simulate, settle and fade corpses
+    this.corpseManager.update(deltaTime)
+    
+    // Move and shrink effect particles
+    this.particles.update(deltaTime, this.camera)
 
     // Handle zombie spawning
-    this.zombieSpawnTimer += deltaTime * 1000
-    if (this.zombieSpawnTimer >= this.zombieSpawnInterval) {
-      this.spawnZombies(1)
-      this.zombieSpawnTimer = 0
-      
-      // Increase difficulty over time
-      if (this.zombieSpawnInterval > 1000) {
-        this.zombieSpawnInterval -= 50
-      }
-    }
+    this.waveDirector.update(deltaTime, this.zombies.length)
 
     // Update collision detection
     this.collisionManager.update()
 
-    // Handle bullet-zombie collisions
-    this.handleBulletCollisions()
-    
     // Handle zombie-player collisions
     this.handleZombiePlayerCollisions()
+    
+    // Move zombie projectiles and hit the player with them
+    this.updateEnemyProjectiles()
+    
+    // Collect pickups the player walks over
+    this.updatePickups(deltaTime)
 
     // Update UI
     this.updateUI()
   }
 
-  handleBulletCollisions() {
-    const bullets = this.player.getBullets()
-    
-    bullets.forEach((bullet, bulletIndex) => {
-      this.zombies.forEach((zombie, zombieIndex) => {
-        if (bullet.checkCollision(zombie.getMesh())) {
-          // Damage zombie
-          zombie.takeDamage(25)
-          
-          // Remove bullet
-          bullet.removeFromScene()
-          bullets.splice(bulletIndex, 1)
-          
-          console.log('Zombie hit!')
-        }
+  /**
+   * Called once when a player bullet or zombie projectile hits something; whoever fired it releases it
+   * @param {Bullet} bullet - Bullet that hit
+   * @param {object} hit - Result from CollisionManager.sweep
+   */
+  handleBulletImpact(bullet, hit) {
+    this.events.emit(GAME_EVENTS.BULLET_IMPACT, { bullet, source: bullet.source, damage: bullet.damage, hit })
+    
+    // Environment hits only need the impact effect the bullet already spawned
+    if (hit.type !== 'entity') return
+    
+    if (bullet.source === this.player) {
+      this.handleShotHit(hit, bullet.damage)
+    } else if (hit.entity === this.player) {
+      const hitPlayer = this.player.takeDamage({
+        amount: bullet.damage,
+        type: bullet.damageType,
+        source: bullet.source,
+        hitPoint: hit.point.clone()
+      })
+      const attackEffect = bullet.source ? bullet.source.attackEffect : null
+      if (hitPlayer && attackEffect) {
+        this.player.getHealthSystem().applyStatusEffect(attackEffect, { source: bullet.source })
+      }
+    }
+  }
+
+  /**
+   * Apply a player's shot to whatever entity it hit
+   * @param {object} hit - Result from CollisionManager.getClosestHit (hitscan) or sweep (bullets)
+   * @param {number} damage - Weapon damage
+   */
+  handleShotHit(hit, damage) {
+    if (hit.entity instanceof Zombie && !hit.entity.isDead()) {
+      // Stats and hit feedback pick this up from entity:damaged
+      hit.entity.takeDamage({
+        amount: damage,
+        type: DAMAGE_TYPES.BULLET,
+        source: this.player,
+        hitPoint: hit.point,
+        hitDirection: hit.direction
       })
+    } else if (hit.entity instanceof Zombie && hit.entity.getRagdoll()) {
+      // Shooting a corpse pushes it around
+      const ragdoll = hit.entity.getRagdoll()
+      ragdoll.applyImpulse(hit.body.userData.hitZone, hit.point, hit.direction, damage * RAGDOLL.impulsePerDamage)
+    }
+  }
+
+  /**
+   * Called when a zombie dies
+   * @param {Zombie} zombie - The zombie that died
+   * @param {string} hitZone - Hit zone of the killing shot
+   */
+  onZombieKilled(zombie, hitZone) {
+    const headshot = hitZone === 'head'
+    const points = this.stats.recordKill(zombie.scoreValue, headshot)
+    this.events.emit(GAME_EVENTS.ZOMBIE_KILLED, { zombie, hitZone, headshot, points })
+    
+    if (zombie.isBoss) {
+      this.onBossKilled(zombie)
+    }
+  }
+
+  onBossKilled(boss) {
+    if (this.activeBoss === boss) {
+      this.activeBoss = null
+    }
+    
+    // Bosses always drop their reward where they fell
+    this.spawnPickup(boss.getMesh().position, boss.reward)
+    this.showWaveBanner(`${boss.name} defeated!`)
+  }
+
+  /**
+   * Let every zombie in earshot react to a noise
+   * @param {THREE.Vector3} position - Where the noise came from
+   * @param {number} radius - How far the noise carries
+   */
+  emitNoise(position, radius) {
+    this.zombies.forEach(zombie => {
+      if (!zombie.isDead()) {
+        zombie.getPerception().hearNoise(position, radius)
+      }
+    })
+  }
+
+  /**
+   * Damage and shove the player if they are inside a boss charge or slam
+   * @param {BossZombie} boss - Boss making the attack
+   * @param {object} attack - position, radius, damage and knockback
+   */
+  handleBossAreaAttack(boss, attack) {
+    this.particles.spawnShockwave(attack.position, attack.radius)
+    
+    const inBlast = this.collisionManager.getEntitiesInSphere(attack.position, attack.radius, { groups: ['PLAYER'] })
+    if (!inBlast.includes(this.player)) return
+    
+    const playerPosition = this.player.getPosition()
+    const direction = new THREE.Vector3().subVectors(playerPosition, attack.position)
+    direction.y = 0
+    
+    const hit = this.player.takeDamage({
+      amount: attack.damage,
+      type: DAMAGE_TYPES.MELEE,
+      source: boss,
+      hitPoint: playerPosition.clone()
+    })
+    if (hit && attack.knockback > 0) {
+      this.player.applyKnockback(direction, attack.knockback)
+    }
+  }
+
+  /**
+   * Drop a reward in the world, collected by a trigger as soon as the player walks into it
+   * @param {THREE.Vector3} position - Ground position to drop it at
+   * @param {object} reward - health, armor, ammoMagazines and score
+   */
+  spawnPickup(position, reward) {
+    const pickup = new Pickup(this.scene, position, reward)
+    const trigger = this.collisionManager.addTrigger({
+      shape: 'sphere',
+      position: pickup.getPosition(),
+      radius: pickup.collectRadius,
+      groups: ['PLAYER'],
+      onEnter: () => {
+        this.collectPickup(pickup)
+        this.removePickup(pickup)
+      }
     })
+    
+    this.pickups.push(pickup)
+    this.pickupTriggers.set(pickup, trigger)
+    return pickup
+  }
+
+  removePickup(pickup) {
+    const index = this.pickups.indexOf(pickup)
+    if (index > -1) {
+      this.pickups.splice(index, 1)
+    }
+    
+    this.collisionManager.removeTrigger(this.pickupTriggers.get(pickup))
+    this.pickupTriggers.delete(pickup)
+    pickup.removeFromScene()
+  }
+
+  updatePickups(deltaTime) {
+    // Collection is handled by each pickup's trigger
+    this.pickups.forEach(pickup => pickup.update(deltaTime))
+  }
+
+  collectPickup(pickup) {
+    const { health = 0, armor = 0, ammoMagazines = 0, score = 0 } = pickup.reward
+    const playerHealth = this.player.getHealthSystem()
+    
+    // Armor first so the health bar update shows both
+    if (armor > 0) playerHealth.addArmor(armor)
+    if (health > 0) playerHealth.heal(health)
+    if (ammoMagazines > 0) this.player.restockAmmo(ammoMagazines)
+    if (score > 0) this.stats.addScore(score)
+    
+    this.events.emit(GAME_EVENTS.PICKUP_COLLECTED, { pickup, reward: pickup.reward })
+  }
+
+  showKillNotice(text) {
+    const notice = document.getElementById('killNotice')
+    notice.textContent = text
+    notice.classList.remove('hidden')
+    
+    clearTimeout(this.killNoticeTimeout)
+    this.killNoticeTimeout = setTimeout(() => {
+      notice.classList.add('hidden')
+    }, 1000)
   }
 
   handleZombiePlayerCollisions() {
+    // Ranged zombies attack from a distance once they have a clear shot
     this.zombies.forEach(zombie => {
-      if (zombie.isNearPlayer(this.player.getPosition(), 2.0)) {
+      if (zombie.isRanged() && zombie.canAttack()) {
+        this.enemyProjectiles.push(zombie.fireProjectile(this.player.getPosition(), this.bulletPool))
+        zombie.attack()
+      }
+    })
+    
+    // Melee zombies only need checking once their body is within the longest reach of any type
+    const nearby = this.collisionManager.getEntitiesInSphere(this.player.getPosition(), this.getMeleeReach(), { groups: ['ZOMBIE'] })
+    nearby.forEach(zombie => {
+      if (zombie.isRanged() || zombie.isDead()) return
+      
+      if (zombie.isNearPlayer(this.player.getPosition(), zombie.attackRange)) {
         if (zombie.canAttack()) {
-          this.player.takeDamage(10)
+          const hit = this.player.takeDamage({
+            amount: zombie.attackDamage,
+            type: zombie.attackDamageType,
+            source: zombie,
+            hitPoint: this.player.getPosition().clone()
+          })
+          if (hit && zombie.attackEffect) {
+            this.player.getHealthSystem().applyStatusEffect(zombie.attackEffect, { source: zombie })
+          }
+          if (hit && zombie.knockback > 0) {
+            const direction = new THREE.Vector3().subVectors(this.player.getPosition(), zombie.getMesh().position)
+            this.player.applyKnockback(direction, zombie.knockback)
+          }
           zombie.attack()
           console.log('Player hit! Health:', this.player.getHealth())
         }
@@ -233,41 +712,252 @@ export class Game {
     })
   }
 
-  updateUI() {
-    // Update health bar
-    const health = this.player.getHealth()
+  // Longest melee attack range of any zombie type
+  getMeleeReach() {
+    if (this.meleeReach === null) {
+      const ranges = this.zombieRegistry.getTypes()
+        .filter(definition => definition.attack.type === 'melee')
+        .map(definition => definition.attack.range)
+      this.meleeReach = Math.max(0, ...ranges)
+    }
+    return this.meleeReach
+  }
+
+  updateEnemyProjectiles() {
+    // Iterate backwards so removing a projectile doesn't skip the next one; hits are handled in handleBulletImpact
+    for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+      const projectile = this.enemyProjectiles[i]
+      projectile.update()
+      
+      if (projectile.shouldRemove()) {
+        this.enemyProjectiles.splice(i, 1)
+        this.bulletPool.release(projectile)
+      }
+    }
+  }
+
+  updateHealthBar(health, maxHealth) {
     const healthFill = document.getElementById('healthFill')
     const healthText = document.getElementById('healthText')
     
-    healthFill.style.width = `${health}%`
-    healthText.textContent = `Health: ${health}`
+    healthFill.style.width = `${(health / maxHealth) * 100}%`
+    
+    const armor = Math.ceil(this.player.getHealthSystem().getArmor())
+    healthText.textContent = armor > 0
+      ? `Health: ${Math.ceil(health)} | Armor: ${armor}`
+      : `Health: ${Math.ceil(health)}`
+  }
+
+  updateStatusEffects() {
+    const effects = this.player.getHealthSystem().getStatusEffects()
+    const statusEffects = document.getElementById('statusEffects')
+    
+    statusEffects.textContent = effects
+      .map(effect => `${effect.name} ${Math.ceil(effect.remaining / 1000)}s`)
+      .join('  ')
+  }
+
+  flashHealthBar() {
+    // Show that a hit was absorbed by damage immunity
+    const healthBar = document.getElementById('healthBar')
+    healthBar.classList.add('immune')
+    
+    clearTimeout(this.healthBarFlashTimeout)
+    this.healthBarFlashTimeout = setTimeout(() => {
+      healthBar.classList.remove('immune')
+    }, 150)
+  }
+
+  updateUI() {
+    // Update active status effects (remaining time changes every frame)
+    this.updateStatusEffects()
+    
+    // Update score and combo
+    const multiplier = this.stats.getComboMultiplier()
+    document.getElementById('scoreInfo').textContent = multiplier > 1
+      ? `Score: ${this.stats.score}  Combo x${multiplier}`
+      : `Score: ${this.stats.score}`
     
     // Update ammo counter
     const ammo = this.player.getAmmo()
+    const reserveAmmo = this.player.getReserveAmmo()
     const ammoCounter = document.getElementById('ammoCounter')
-    ammoCounter.textContent = `Ammo: ${ammo}`
+    ammoCounter.textContent = `${ammo} / ${reserveAmmo}`
+    document.getElementById('weaponName').textContent = this.player.getWeapon().name
+    
+    // Update reload indicator
+    const reloadIndicator = document.getElementById('reloadIndicator')
+    reloadIndicator.classList.toggle('hidden', !this.player.isReloading())
+    document.getElementById('reloadFill').style.width = `${this.player.getReloadProgress() * 100}%`
+    
+    // Update boss health
+    this.updateBossBar()
     
-    // Check game over
-    if (health <= 0) {
-      this.gameOver()
+    // Update AI debug labels and pool statistics
+    this.aiDebugOverlay.update(this.zombies, this.camera)
+    if (this.aiDebugOverlay.isEnabled()) {
+      this.aiDebugOverlay.showStats({
+        Bullets: this.bulletPool.getStats(),
+        Zombies: this.zombiePool.getStats(),
+        Particles: this.particles.getStats(),
+        Batches: this.zombieRenderer.getStats()
+      })
+    }
+    
+    // Update wave info
+    const waveInfo = document.getElementById('waveInfo')
+    if (this.waveDirector.isInBreak()) {
+      const nextWave = this.waveDirector.getWaveNumber() + 1
+      waveInfo.textContent = `Wave ${nextWave} in ${this.waveDirector.getBreakCountdown()}`
+    } else {
+      const remaining = this.waveDirector.getRemainingZombies(this.zombies.length)
+      waveInfo.textContent = `Wave ${this.waveDirector.getWaveNumber()} - Zombies: ${remaining}`
     }
   }
 
+  updateBossBar() {
+    const bossBar = document.getElementById('bossBar')
+    bossBar.classList.toggle('hidden', !this.activeBoss)
+    if (!this.activeBoss) return
+    
+    const boss = this.activeBoss
+    document.getElementById('bossName').textContent = `${boss.name} - Phase ${boss.getPhaseIndex() + 1}`
+    document.getElementById('bossHealthFill').style.width = `${boss.getHealthFraction() * 100}%`
+  }
+
+  showWaveBanner(text) {
+    const banner = document.getElementById('waveBanner')
+    banner.textContent = text
+    banner.classList.remove('hidden')
+    
+    clearTimeout(this.waveBannerTimeout)
+    this.waveBannerTimeout = setTimeout(() => {
+      banner.classList.add('hidden')
+    }, 2500)
+  }
+
   gameOver() {
     this.gameRunning = false
     document.exitPointerLock()
+    this.player.clearDamageFlash()
     
-    // Show game over screen
+    // Save the run under the last name used; it can be renamed from the game over screen
+    const summary = this.stats.getSummary()
+    const { entry, rank } = this.highScores.addRun(summary, this.highScores.getLastPlayerName(), this.mode)
+    this.lastRun = { summary, entry, rank }
+    
+    this.showGameOverScreen()
+  }
+
+  showGameOverScreen() {
+    const { summary, entry, rank } = this.lastRun
+    const rankText = rank ? `<p class="rank">New high score! Rank #${rank}</p>` : ''
+    
+    // Show game over screen with the run breakdown
     const instructions = document.getElementById('instructions')
     instructions.innerHTML = `
       <h2>Game Over!</h2>
-      <p>You survived and eliminated ${this.getKillCount()} zombies!</p>
-      <p>Click to restart</p>
+      <p class="final-score">Score: ${summary.score}</p>
+      ${rankText}
+      <table class="stats-table">
+        <tr><td>Wave reached</td><td>${summary.waveReached}</td></tr>
+        <tr><td>Time survived</td><td>${summary.formattedTime}</td></tr>
+        <tr><td>Kills</td><td>${summary.kills}</td></tr>
+        <tr><td>Headshots</td><td>${summary.headshots}</td></tr>
+        <tr><td>Best combo</td><td>${summary.bestCombo}</td></tr>
+        <tr><td>Shots fired</td><td>${summary.shotsFired}</td></tr>
+        <tr><td>Accuracy</td><td>${Math.round(summary.accuracy * 100)}%</td></tr>
+        <tr><td>Damage dealt</td><td>${summary.damageDealt}</td></tr>
+        <tr><td>Damage taken</td><td>${summary.damageTaken}</td></tr>
+      </table>
+      <div class="name-entry">
+        <input id="playerName" type="text" maxlength="20" value="${Utils.escapeHtml(entry.name)}">
+        <button class="menu-button" data-action="save-name">Save Name</button>
+      </div>
+      <button class="menu-button" data-action="restart">Play Again</button>
+      <button class="menu-button" data-action="leaderboard">Leaderboard</button>
     `
     instructions.classList.remove('hidden')
+    this.overlayView = 'gameOver'
+  }
+
+  saveRunName() {
+    const input = document.getElementById('playerName')
+    if (!input || !this.lastRun) return
+    
+    this.highScores.renameRun(this.lastRun.entry.id, input.value)
+    this.showLeaderboard('Name saved')
+  }
+
+  showStartScreen() {
+    const instructions = document.getElementById('instructions')
+    instructions.innerHTML = this.startScreenHTML
+    this.overlayView = 'start'
+  }
+
+  /**
+   * Show the high score table and recent runs in the overlay
+   * @param {string} message - Optional status line (e.g. import result)
+   */
+  showLeaderboard(message = '') {
+    const currentId = this.lastRun ? this.lastRun.entry.id : null
+    const formatDate = (date) => new Date(date).toLocaleDateString()
+    const formatAccuracy = (accuracy) => `${Math.round(accuracy * 100)}%`
+    
+    const highScoreRows = this.highScores.getHighScores().map((entry, index) => `
+      <tr class="${entry.id === currentId ? 'current-run' : ''}">
+        <td>${index + 1}</td>
+        <td>${Utils.escapeHtml(entry.name)}</td>
+        <td>${entry.score}</td>
+        <td>${entry.waveReached}</td>
+        <td>${formatAccuracy(entry.accuracy)}</td>
+        <td>${Utils.escapeHtml(entry.mode)}</td>
+        <td>${formatDate(entry.date)}</td>
+      </tr>
+    `).join('')
+    
+    const recentRows = this.highScores.getRecentRuns().map(entry => `
+      <tr class="${entry.id === currentId ? 'current-run' : ''}">
+        <td>${formatDate(entry.date)}</td>
+        <td>${Utils.escapeHtml(entry.name)}</td>
+        <td>${entry.score}</td>
+        <td>${entry.waveReached}</td>
+        <td>${formatAccuracy(entry.accuracy)}</td>
+        <td>${entry.kills}</td>
+      </tr>
+    `).join('')
     
-    // Reset game on click
-    document.addEventListener('click', () => this.restartGame(), { once: true })
+    const emptyRow = (columns) => `<tr><td colspan="${columns}">No runs yet</td></tr>`
+    
+    const instructions = document.getElementById('instructions')
+    instructions.innerHTML = `
+      <h2>Leaderboard</h2>
+      ${message ? `<p class="status">${Utils.escapeHtml(message)}</p>` : ''}
+      <table class="stats-table leaderboard">
+        <tr><th>#</th><th>Name</th><th>Score</th><th>Wave</th><th>Accuracy</th><th>Mode</th><th>Date</th></tr>
+        ${highScoreRows || emptyRow(7)}
+      </table>
+      <h3>Recent Runs</h3>
+      <table class="stats-table leaderboard">
+        <tr><th>Date</th><th>Name</th><th>Score</th><th>Wave</th><th>Accuracy</th><th>Kills</th></tr>
+        ${recentRows || emptyRow(6)}
+      </table>
+      <button class="menu-button" data-action="export">Export</button>
+      <button class="menu-button" data-action="import">Import</button>
+      <button class="menu-button" data-action="back">Back</button>
+    `
+    instructions.classList.remove('hidden')
+    this.overlayView = 'leaderboard'
+  }
+
+  async importScores(file) {
+    try {
+      const count = await this.highScores.importFromFile(file)
+      this.showLeaderboard(`Imported ${count} new ${count === 1 ? 'score' : 'scores'}`)
+    } catch (error) {
+      console.error('Failed to import scores:', error)
+      this.showLeaderboard(`Import failed: ${error.message}`)
+    }
   }
 
   restartGame() {
@@ -275,28 +965,60 @@ export class Game {
     this.player.reset()
     
     // Remove all zombies
-    this.zombies.forEach(zombie => zombie.removeFromScene())
+    this.zombies.forEach(zombie => this.zombiePool.release(zombie))
     this.zombies = []
+    this.zombieIndex.clear()
+    this.corpseManager.clear()
+    this.enemyProjectiles.forEach(projectile => this.bulletPool.release(projectile))
+    this.enemyProjectiles = []
+    this.particles.clear()
+    this.pickups.slice().forEach(pickup => this.removePickup(pickup))
+    this.activeBoss = null
     
-    // Reset timers
-    this.zombieSpawnTimer = 0
-    this.zombieSpawnInterval = 3000
+    // Reset waves and stats
+    this.waveDirector.reset()
+    this.stats.reset()
     
     // Restart game
+    this.isGameStarted = false
     this.startGame()
-    this.spawnZombies(3)
   }
 
   getKillCount() {
-    // This would be tracked in a real implementation
-    return Math.max(0, 10 - this.zombies.length)
+    return this.stats.kills
+  }
+
+  /**
+   * Place everything drawn from physics between the last two steps, so motion stays smooth at any refresh rate
+   * @param {number} alpha - 0 for the previous step, 1 for the latest
+   */
+  interpolate(alpha) {
+    this.player.interpolate(alpha)
+    this.zombies.forEach(zombie => zombie.interpolate(alpha))
+    this.enemyProjectiles.forEach(projectile => projectile.interpolate(alpha))
+    this.corpseManager.interpolate(alpha)
   }
 
   animate() {
     requestAnimationFrame(() => this.animate())
     
-    const deltaTime = this.clock.getDelta()
-    this.update(deltaTime)
+    const frameTime = this.clock.getDelta()
+    if (this.gameRunning) {
+      // Run as many fixed steps as real time allows; gameplay always sees the latest state, not the drawn one
+      const steps = simulationClock.accumulate(frameTime)
+      if (steps > 0) this.interpolate(1)
+      
+      for (let i = 0; i < steps && this.gameRunning; i++) {
+        this.update(simulationClock.timeStep)
+        simulationClock.step()
+      }
+      
+      this.interpolate(simulationClock.getAlpha())
+      
+      // Copy zombie and corpse poses into the instanced meshes
+      this.zombieRenderer.update(this.zombies, this.corpseManager.getZombies())
+    }
+    
     this.renderer.render(this.scene, this.camera)
   }
 }
@@ -0,0 +1,20 @@
+/**
+ * Gameplay events published on Game's event bus, with the payload each one carries
+ *
+ * bullet:impact     { bullet, source, damage, hit } - A player shot or zombie projectile hit something;
+ *                   bullet is null for hitscan shots, hit comes from CollisionManager (point, body, entity, ...)
+ * entity:damaged    { entity, amount, type, source, hitPoint, zone, health } - The player or a zombie lost health;
+ *                   amount is the health actually removed, zone is the zombie hit zone (null for the player)
+ * zombie:killed     { zombie, hitZone, headshot, points } - A zombie died; points is the score awarded
+ * player:died       { player, damage } - The player's health reached zero
+ * wave:started      { waveNumber } - A new wave began
+ * pickup:collected  { pickup, reward } - The player picked up a reward
+ */
+export const GAME_EVENTS = {
+  BULLET_IMPACT: 'bullet:impact',
+  ENTITY_DAMAGED: 'entity:damaged',
+  ZOMBIE_KILLED: 'zombie:killed',
+  PLAYER_DIED: 'player:died',
+  WAVE_STARTED: 'wave:started',
+  PICKUP_COLLECTED: 'pickup:collected'
+}
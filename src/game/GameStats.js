@@ -0,0 +1,143 @@
+import { Utils } from '../utils/Utils.js'
+
+export const SCORING = {
+  headshotBonus: 50,
+  waveClearBonus: 500, // Multiplied by the wave number
+  comboWindow: 3000, // Milliseconds between kills to keep a combo going
+  comboStep: 0.5, // Multiplier added per chained kill
+  maxComboMultiplier: 5
+}
+
+/**
+ * GameStats class for tracking a run's statistics and score
+ * Records kills, accuracy, damage and survival time, and awards score with combo multipliers
+ */
+export class GameStats {
+  constructor(scoring = SCORING) {
+    this.scoring = scoring
+
+    // Callback function
+    this.onScoreChanged = null
+
+    this.reset()
+  }
+
+  reset() {
+    this.kills = 0
+    this.headshots = 0
+    this.shotsFired = 0
+    this.shotsHit = 0
+    this.damageDealt = 0
+    this.damageTaken = 0
+    this.timeSurvived = 0 // seconds
+    this.waveReached = 0
+    this.score = 0
+
+    this.combo = 0
+    this.bestCombo = 0
+    this.comboTimer = 0
+  }
+
+  /**
+   * Advance run time and let the combo expire
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    this.timeSurvived += deltaTime
+
+    if (this.combo > 0) {
+      this.comboTimer -= deltaTime * 1000
+      if (this.comboTimer <= 0) {
+        this.combo = 0
+      }
+    }
+  }
+
+  /**
+   * @param {number} count - Pellets or projectiles fired
+   */
+  recordShotsFired(count = 1) {
+    this.shotsFired += count
+  }
+
+  /**
+   * @param {number} damage - Health removed from the target
+   */
+  recordHit(damage) {
+    this.shotsHit++
+    this.damageDealt += damage
+  }
+
+  recordDamageTaken(damage) {
+    this.damageTaken += damage
+  }
+
+  /**
+   * Record a kill and award score, chaining it into the current combo
+   * @param {number} points - Base points for the zombie
+   * @param {boolean} headshot - Whether the killing shot was a headshot
+   * @returns {number} Points awarded
+   */
+  recordKill(points, headshot = false) {
+    this.kills++
+    if (headshot) {
+      this.headshots++
+    }
+
+    this.combo++
+    this.bestCombo = Math.max(this.bestCombo, this.combo)
+    this.comboTimer = this.scoring.comboWindow
+
+    const base = points + (headshot ? this.scoring.headshotBonus : 0)
+    return this.addScore(Math.round(base * this.getComboMultiplier()))
+  }
+
+  recordWaveStarted(waveNumber) {
+    this.waveReached = Math.max(this.waveReached, waveNumber)
+  }
+
+  recordWaveCleared(waveNumber) {
+    return this.addScore(this.scoring.waveClearBonus * waveNumber)
+  }
+
+  addScore(points) {
+    this.score += points
+
+    if (this.onScoreChanged) {
+      this.onScoreChanged(this.score, points)
+    }
+
+    return points
+  }
+
+  // Getters
+  getComboMultiplier() {
+    if (this.combo <= 1) return 1
+    return Math.min(this.scoring.maxComboMultiplier, 1 + (this.combo - 1) * this.scoring.comboStep)
+  }
+
+  getAccuracy() {
+    return this.shotsFired > 0 ? this.shotsHit / this.shotsFired : 0
+  }
+
+  /**
+   * Get a snapshot of the run for the end-of-run screen
+   * @returns {object}
+   */
+  getSummary() {
+    return {
+      score: this.score,
+      kills: this.kills,
+      headshots: this.headshots,
+      shotsFired: this.shotsFired,
+      shotsHit: this.shotsHit,
+      accuracy: this.getAccuracy(),
+      damageDealt: Math.round(this.damageDealt),
+      damageTaken: Math.round(this.damageTaken),
+      timeSurvived: this.timeSurvived,
+      formattedTime: Utils.formatTime(this.timeSurvived),
+      waveReached: this.waveReached,
+      bestCombo: this.bestCombo
+    }
+  }
+}
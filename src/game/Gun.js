@@ -1,13 +1,37 @@
 import * as THREE from 'three'
+import { simulationClock } from '../utils/SimulationClock.js'
 
 /**
- * Gun class for rendering and managing the player's weapon
- * Creates a 3D gun model and handles visual effects
+ * Gun class for rendering and managing one of the player's weapons
+ * Builds its 3D model and stats from a weapon definition (see src/data/weapons.json)
+ * and tracks the weapon's own magazine and reserve ammo
  */
 export class Gun {
-  constructor(scene, camera) {
+  /**
+   * @param {THREE.Scene} scene - Scene the gun belongs to
+   * @param {THREE.Camera} camera - Camera the gun is attached to
+   * @param {object} definition - Weapon definition
+   */
+  constructor(scene, camera, definition) {
     this.scene = scene
     this.camera = camera
+    this.definition = definition
+    
+    this.name = definition.name
+    this.fireMode = definition.fireMode ?? 'hitscan'
+    this.damage = definition.damage
+    this.fireRate = definition.fireRate // milliseconds between shots
+    this.spread = definition.spread ?? 0 // Max angle off the aim direction, in radians
+    this.pelletCount = definition.pelletCount ?? 1
+    this.range = definition.range ?? 100 // Hitscan only
+    this.projectileSpeed = definition.projectileSpeed ?? 50 // Projectile only
+    this.noise = definition.noise ?? 40 // Radius zombies can hear a shot from
+    this.reloadTime = definition.reloadTime
+    
+    // Ammo
+    this.magazineSize = definition.magazineSize
+    this.maxReserveAmmo = definition.maxReserveAmmo
+    this.resetAmmo()
     
     this.gunGroup = new THREE.Group()
     this.originalPosition = new THREE.Vector3(0.3, -0.2, -0.5)
@@ -15,48 +39,60 @@ export class Gun {
     
     this.recoilAmount = 0
     this.recoilRecovery = 0.1
-    this.maxRecoil = 0.1
+    this.muzzleFlashTimer = 0 // ms left showing the muzzle flash
+    this.maxRecoil = definition.recoil ?? 0.1
     
-    this.createGunModel()
+    this.reloadDuration = 0
+    this.reloadElapsed = 0
+    this.isReloading = false
+    
+    this.createGunModel(definition.model)
     this.setupPosition()
   }
 
-  createGunModel() {
+  /**
+   * Build the gun mesh from the definition's model parameters
+   * @param {object} model - Part sizes, offsets and colors
+   */
+  createGunModel(model) {
+    this.muzzleOffset = model.muzzleOffset
+    
     // Gun barrel
-    const barrelGeometry = new THREE.CylinderGeometry(0.02, 0.025, 0.3, 8)
-    const barrelMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 })
+    const barrel = model.barrel
+    const barrelGeometry = new THREE.CylinderGeometry(barrel.radiusTop, barrel.radiusBottom, barrel.length, 8)
+    const barrelMaterial = new THREE.MeshLambertMaterial({ color: barrel.color })
     this.barrel = new THREE.Mesh(barrelGeometry, barrelMaterial)
     this.barrel.rotation.z = Math.PI / 2
-    this.barrel.position.set(0.1, 0, 0)
+    this.barrel.position.set(barrel.offset, 0, 0)
     this.gunGroup.add(this.barrel)
 
     // Gun body/receiver
-    const bodyGeometry = new THREE.BoxGeometry(0.15, 0.08, 0.25)
-    const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0x444444 })
-    this.body = new THREE.Mesh(bodyGeometry, bodyMaterial)
-    this.body.position.set(-0.05, 0, 0)
-    this.gunGroup.add(this.body)
+    this.body = this.createBoxPart(model.body)
+    
+    // Gun grip
+    this.grip = this.createBoxPart(model.grip)
 
-    // Trigger guard
+    // Trigger guard (in front of the grip)
     const triggerGeometry = new THREE.TorusGeometry(0.03, 0.01, 4, 8)
     const triggerMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 })
     this.trigger = new THREE.Mesh(triggerGeometry, triggerMaterial)
-    this.trigger.position.set(-0.08, -0.05, 0)
+    this.trigger.position.set(model.grip.offset[0], -0.05, 0)
     this.trigger.rotation.x = Math.PI / 2
     this.gunGroup.add(this.trigger)
 
-    // Gun grip
-    const gripGeometry = new THREE.BoxGeometry(0.04, 0.12, 0.08)
-    const gripMaterial = new THREE.MeshLambertMaterial({ color: 0x2a2a2a })
-    this.grip = new THREE.Mesh(gripGeometry, gripMaterial)
-    this.grip.position.set(-0.08, -0.1, 0)
-    this.gunGroup.add(this.grip)
+    // Optional parts
+    if (model.stock) {
+      this.stock = this.createBoxPart(model.stock)
+    }
+    if (model.magazine) {
+      this.magazine = this.createBoxPart(model.magazine)
+    }
 
     // Gun sight (front)
     const sightGeometry = new THREE.BoxGeometry(0.005, 0.02, 0.01)
     const sightMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 })
     this.frontSight = new THREE.Mesh(sightGeometry, sightMaterial)
-    this.frontSight.position.set(0.2, 0.05, 0)
+    this.frontSight.position.set(this.muzzleOffset - 0.05, 0.05, 0)
     this.gunGroup.add(this.frontSight)
 
     // Muzzle flash placeholder (hidden by default)
@@ -67,7 +103,7 @@ export class Gun {
       opacity: 0
     })
     this.muzzleFlash = new THREE.Mesh(muzzleGeometry, muzzleMaterial)
-    this.muzzleFlash.position.set(0.25, 0, 0)
+    this.muzzleFlash.position.set(this.muzzleOffset, 0, 0)
     this.muzzleFlash.rotation.z = -Math.PI / 2
     this.gunGroup.add(this.muzzleFlash)
 
@@ -75,6 +111,15 @@ export class Gun {
     this.camera.add(this.gunGroup)
   }
 
+  createBoxPart(part) {
+    const geometry = new THREE.BoxGeometry(...part.size)
+    const material = new THREE.MeshLambertMaterial({ color: part.color })
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.position.set(...part.offset)
+    this.gunGroup.add(mesh)
+    return mesh
+  }
+
   setupPosition() {
     // Position gun relative to camera
     this.gunGroup.position.copy(this.originalPosition)
@@ -96,10 +141,21 @@ export class Gun {
   showMuzzleFlash() {
     // Show muzzle flash briefly
     this.muzzleFlash.material.opacity = 0.8
-    
-    setTimeout(() => {
-      this.muzzleFlash.material.opacity = 0
-    }, 50)
+    this.muzzleFlashTimer = 50
+  }
+
+  /**
+   * Start the reload animation (gun dips and tilts, then comes back up)
+   * @param {number} duration - Reload duration in milliseconds
+   */
+  playReloadAnimation(duration) {
+    this.reloadDuration = duration
+    this.reloadElapsed = 0
+    this.isReloading = true
+  }
+
+  stopReloadAnimation() {
+    this.isReloading = false
   }
 
   /**
@@ -107,6 +163,14 @@ export class Gun {
    * @param {number} deltaTime - Time since last frame
    */
   update(deltaTime) {
+    // Hide the muzzle flash once its time is up
+    if (this.muzzleFlashTimer > 0) {
+      this.muzzleFlashTimer -= deltaTime * 1000
+      if (this.muzzleFlashTimer <= 0) {
+        this.muzzleFlash.material.opacity = 0
+      }
+    }
+    
     // Handle recoil animation
     if (this.recoilAmount > 0) {
       // Apply recoil to gun position
@@ -122,8 +186,19 @@ export class Gun {
       this.gunGroup.rotation.copy(this.originalRotation)
     }
     
+    // Reload animation: 0 -> 1 -> 0 over the reload
+    if (this.isReloading) {
+      this.reloadElapsed += deltaTime * 1000
+      const progress = Math.min(1, this.reloadElapsed / this.reloadDuration)
+      const dip = Math.sin(progress * Math.PI)
+      
+      this.gunGroup.position.y = this.originalPosition.y - dip * 0.15
+      this.gunGroup.rotation.x = this.originalRotation.x - dip * 0.6
+      this.gunGroup.rotation.z = this.originalRotation.z + dip * 0.4
+    }
+    
     // Subtle idle animation (gun sway)
-    const time = Date.now() * 0.001
+    const time = simulationClock.now() * 0.001
     this.gunGroup.rotation.x += Math.sin(time * 1.5) * 0.002
     this.gunGroup.rotation.y += Math.cos(time * 1.2) * 0.001
   }
@@ -133,17 +208,79 @@ export class Gun {
    * @returns {THREE.Vector3} World position of gun barrel tip
    */
   getBulletSpawnPosition() {
-    const muzzlePosition = new THREE.Vector3(0.25, 0, 0)
+    const muzzlePosition = new THREE.Vector3(this.muzzleOffset, 0, 0)
     muzzlePosition.applyMatrix4(this.gunGroup.matrixWorld)
     return muzzlePosition
   }
 
+  /**
+   * Get a shot direction with random spread applied
+   * @param {THREE.Vector3} aimDirection - Normalized aim direction
+   * @returns {THREE.Vector3} Normalized direction within the weapon's spread cone
+   */
+  getSpreadDirection(aimDirection) {
+    const direction = aimDirection.clone()
+    if (this.spread <= 0) return direction
+    
+    // Random point on a disc perpendicular to the aim, uniform over its area
+    const up = Math.abs(direction.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0)
+    const right = new THREE.Vector3().crossVectors(direction, up).normalize()
+    up.crossVectors(right, direction).normalize()
+    
+    const angle = Math.random() * Math.PI * 2
+    const radius = Math.tan(this.spread) * Math.sqrt(Math.random())
+    direction.addScaledVector(right, Math.cos(angle) * radius)
+    direction.addScaledVector(up, Math.sin(angle) * radius)
+    
+    return direction.normalize()
+  }
+
+  // Ammo
+  resetAmmo() {
+    this.ammo = this.magazineSize
+    this.reserveAmmo = this.definition.reserveAmmo
+  }
+
+  /**
+   * Move rounds from the reserve into the magazine
+   */
+  refillMagazine() {
+    const rounds = Math.min(this.magazineSize - this.ammo, this.reserveAmmo)
+    this.ammo += rounds
+    this.reserveAmmo -= rounds
+  }
+
+  /**
+   * Add rounds to the reserve, up to its maximum
+   * @param {number} amount - Number of rounds
+   */
+  addAmmo(amount) {
+    this.reserveAmmo = Math.min(this.maxReserveAmmo, this.reserveAmmo + amount)
+  }
+
+  canReload() {
+    return this.ammo < this.magazineSize && this.reserveAmmo > 0
+  }
+
+  /**
+   * @returns {boolean} True if shots are resolved instantly with a raycast
+   */
+  isHitscan() {
+    return this.fireMode === 'hitscan'
+  }
+
   /**
    * Show/hide the gun
    * @param {boolean} visible - Whether gun should be visible
    */
   setVisible(visible) {
     this.gunGroup.visible = visible
+    
+    // Hidden guns aren't updated, so a flash left on would show again when re-equipped
+    if (!visible) {
+      this.muzzleFlashTimer = 0
+      this.muzzleFlash.material.opacity = 0
+    }
   }
 
   /**
@@ -1,52 +1,253 @@
+import { simulationClock } from '../utils/SimulationClock.js'
+
+export const DAMAGE_TYPES = {
+  BULLET: 'bullet',
+  MELEE: 'melee',
+  FIRE: 'fire',
+  EXPLOSIVE: 'explosive',
+  POISON: 'poison'
+}
+
+// Share of incoming damage armor soaks up, per damage type
+export const DEFAULT_ARMOR_ABSORPTION = {
+  bullet: 0.5,
+  melee: 0.6,
+  fire: 0.2,
+  explosive: 0.4,
+  poison: 0
+}
+
+// Timed effects; ticking effects deal damage or heal every tickInterval milliseconds
+export const STATUS_EFFECTS = {
+  bleed: { duration: 5000, tickInterval: 1000, damagePerTick: 3 },
+  burning: { duration: 3000, tickInterval: 500, damagePerTick: 4, damageType: DAMAGE_TYPES.FIRE },
+  infection: { duration: 6000, tickInterval: 1000, damagePerTick: 2, damageType: DAMAGE_TYPES.POISON },
+  slow: { duration: 2000, speedMultiplier: 0.6 },
+  regeneration: { duration: 5000, tickInterval: 500, healPerTick: 2 }
+}
+
 /**
  * HealthSystem class for managing entity health
- * Provides damage immunity, healing, and death detection
+ * Provides damage immunity, typed damage with armor, timed status effects, healing, and death detection
  */
 export class HealthSystem {
-  constructor(maxHealth = 100) {
+  /**
+   * @param {number} maxHealth - Starting and maximum health
+   * @param {number} damageImmunityDuration - Milliseconds of immunity after taking damage
+   * @param {number} armor - Starting armor, restored by reset()
+   * @param {number} maxArmor - Maximum armor points
+   */
+  constructor(maxHealth = 100, damageImmunityDuration = 1000, armor = 0, maxArmor = armor) {
     this.maxHealth = maxHealth
     this.currentHealth = maxHealth
-    this.lastDamageTime = 0
-    this.damageImmunityDuration = 1000 // 1 second
+    this.lastDamageTime = -Infinity
+    this.damageImmunityDuration = damageImmunityDuration
+    
+    // Armor
+    this.startingArmor = armor
+    this.armor = armor
+    this.maxArmor = maxArmor
+    this.armorAbsorption = { ...DEFAULT_ARMOR_ABSORPTION }
+    
+    // Active status effects by name
+    this.statusEffects = new Map()
     
     // Callback functions
     this.onHealthChanged = null
     this.onDeath = null
     this.onDamageBlocked = null
+    this.onStatusEffectsChanged = null
+  }
+
+  /**
+   * Turn a plain number or partial descriptor into a full damage descriptor
+   * @param {number|object} damage - Amount, or { amount, type, source, hitPoint, ignoreArmor, ignoreImmunity }
+   * @returns {object}
+   */
+  static normalizeDamage(damage) {
+    if (typeof damage === 'number') {
+      return { amount: damage, type: null, source: null, hitPoint: null }
+    }
+    return { type: null, source: null, hitPoint: null, ...damage }
   }
 
   /**
    * Apply damage to the entity
-   * @param {number} amount - Amount of damage to apply
+   * @param {number|object} damage - Amount, or a damage descriptor with type, source and hitPoint
    * @returns {boolean} - True if damage was applied, false if blocked by immunity
    */
-  takeDamage(amount) {
-    const currentTime = Date.now()
+  takeDamage(damage) {
+    const currentTime = simulationClock.now()
+    damage = HealthSystem.normalizeDamage(damage)
+    
+    // Already dead, don't report death twice
+    if (this.isDead()) {
+      return false
+    }
     
     // Check for damage immunity
-    if (currentTime - this.lastDamageTime < this.damageImmunityDuration) {
+    if (!damage.ignoreImmunity &&
+        currentTime - this.lastDamageTime < this.damageImmunityDuration) {
       if (this.onDamageBlocked) {
-        this.onDamageBlocked(amount)
+        this.onDamageBlocked(damage)
       }
       return false // Damage was blocked
     }
     
+    const amount = damage.ignoreArmor ? damage.amount : this.absorbWithArmor(damage)
+    
+    // Record how much health was actually lost, for stats
+    damage.applied = Math.min(this.currentHealth, amount)
+    
     this.currentHealth -= amount
     this.currentHealth = Math.max(0, this.currentHealth)
-    this.lastDamageTime = currentTime
+    if (!damage.ignoreImmunity) {
+      this.lastDamageTime = currentTime
+    }
     
     // Trigger callbacks
     if (this.onHealthChanged) {
-      this.onHealthChanged(this.currentHealth, this.maxHealth)
+      this.onHealthChanged(this.currentHealth, this.maxHealth, damage)
     }
     
-    if (this.currentHealth <= 0 && this.onDeath) {
-      this.onDeath()
+    if (this.currentHealth <= 0) {
+      this.statusEffects.clear()
+      if (this.onStatusEffectsChanged) {
+        this.onStatusEffectsChanged([])
+      }
+      if (this.onDeath) {
+        this.onDeath(damage)
+      }
     }
     
     return true // Damage was applied
   }
 
+  /**
+   * Let armor soak up its share of the damage
+   * @param {object} damage - Damage descriptor
+   * @returns {number} Damage left over for health
+   */
+  absorbWithArmor(damage) {
+    const absorption = this.armorAbsorption[damage.type] ?? 0
+    const absorbed = Math.min(this.armor, damage.amount * absorption)
+    
+    this.armor -= absorbed
+    return damage.amount - absorbed
+  }
+
+  /**
+   * Set armor and optionally its maximum
+   * @param {number} armor - Armor points
+   * @param {number} maxArmor - Maximum armor points
+   */
+  setArmor(armor, maxArmor = this.maxArmor) {
+    this.maxArmor = maxArmor
+    this.armor = Math.min(armor, maxArmor)
+    
+    if (this.onHealthChanged) {
+      this.onHealthChanged(this.currentHealth, this.maxHealth)
+    }
+  }
+
+  addArmor(amount) {
+    this.setArmor(this.armor + amount)
+  }
+
+  /**
+   * Start a status effect, or refresh its duration if it is already active
+   * @param {string} name - Key in STATUS_EFFECTS
+   * @param {object} overrides - Optional values replacing the effect's defaults
+   */
+  applyStatusEffect(name, overrides = {}) {
+    const definition = STATUS_EFFECTS[name]
+    if (!definition || this.isDead()) return
+    
+    const existing = this.statusEffects.get(name)
+    if (existing) {
+      existing.remaining = Math.max(existing.remaining, overrides.duration ?? definition.duration)
+      return
+    }
+    
+    const effect = { name, ...definition, ...overrides, tickTimer: 0 }
+    effect.remaining = effect.duration
+    this.statusEffects.set(name, effect)
+    
+    if (this.onStatusEffectsChanged) {
+      this.onStatusEffectsChanged(this.getStatusEffects())
+    }
+  }
+
+  removeStatusEffect(name) {
+    if (this.statusEffects.delete(name) && this.onStatusEffectsChanged) {
+      this.onStatusEffectsChanged(this.getStatusEffects())
+    }
+  }
+
+  /**
+   * Tick status effects
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    const elapsed = deltaTime * 1000
+    
+    this.statusEffects.forEach((effect, name) => {
+      effect.remaining -= elapsed
+      
+      if (effect.tickInterval) {
+        effect.tickTimer += elapsed
+        while (effect.tickTimer >= effect.tickInterval && !this.isDead()) {
+          effect.tickTimer -= effect.tickInterval
+          this.applyEffectTick(effect)
+        }
+      }
+      
+      if (effect.remaining <= 0) {
+        this.removeStatusEffect(name)
+      }
+    })
+  }
+
+  applyEffectTick(effect) {
+    if (effect.damagePerTick) {
+      this.takeDamage({
+        amount: effect.damagePerTick,
+        type: effect.damageType ?? null,
+        source: effect.source ?? null,
+        ignoreArmor: true,
+        ignoreImmunity: true
+      })
+    }
+    
+    if (effect.healPerTick) {
+      this.heal(effect.healPerTick)
+    }
+  }
+
+  hasStatusEffect(name) {
+    return this.statusEffects.has(name)
+  }
+
+  /**
+   * @returns {Array<{name: string, remaining: number}>} Active effects
+   */
+  getStatusEffects() {
+    return Array.from(this.statusEffects.values())
+  }
+
+  /**
+   * @returns {number} Combined movement speed multiplier from active effects
+   */
+  getSpeedMultiplier() {
+    let multiplier = 1
+    this.statusEffects.forEach(effect => {
+      if (effect.speedMultiplier !== undefined) {
+        multiplier *= effect.speedMultiplier
+      }
+    })
+    return multiplier
+  }
+
   /**
    * Heal the entity
    * @param {number} amount - Amount of health to restore
@@ -61,11 +262,17 @@ export class HealthSystem {
   }
 
   /**
-   * Reset health to maximum
+   * Reset health to maximum and armor to its starting value
    */
   reset() {
     this.currentHealth = this.maxHealth
-    this.lastDamageTime = 0
+    this.armor = Math.min(this.startingArmor, this.maxArmor)
+    this.lastDamageTime = -Infinity
+    this.statusEffects.clear()
+    
+    if (this.onStatusEffectsChanged) {
+      this.onStatusEffectsChanged([])
+    }
     
     if (this.onHealthChanged) {
       this.onHealthChanged(this.currentHealth, this.maxHealth)
@@ -100,6 +307,14 @@ export class HealthSystem {
     return this.maxHealth
   }
 
+  getArmor() {
+    return this.armor
+  }
+
+  getMaxArmor() {
+    return this.maxArmor
+  }
+
   getHealthPercentage() {
     return (this.currentHealth / this.maxHealth) * 100
   }
@@ -109,7 +324,7 @@ export class HealthSystem {
   }
 
   isImmune() {
-    const currentTime = Date.now()
+    const currentTime = simulationClock.now()
     return (currentTime - this.lastDamageTime) < this.damageImmunityDuration
   }
 
@@ -118,7 +333,7 @@ export class HealthSystem {
   }
 
   getRemainingImmunityTime() {
-    const currentTime = Date.now()
+    const currentTime = simulationClock.now()
     const elapsed = currentTime - this.lastDamageTime
     return Math.max(0, this.damageImmunityDuration - elapsed)
   }
@@ -0,0 +1,340 @@
+import * as THREE from 'three'
+
+// Neighbour offsets for 8-directional movement: [dCol, dRow, cost]
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+]
+
+/**
+ * NavigationGrid class for zombie pathfinding
+ * Rasterizes static physics bodies into a walkable grid and answers A* path queries
+ */
+export class NavigationGrid {
+  constructor(options = {}) {
+    this.size = options.size ?? 200 // World units covered on X and Z, centered on the origin
+    this.cellSize = options.cellSize ?? 1
+    this.agentRadius = options.agentRadius ?? 0.5 // Obstacles are inflated by this much
+    this.agentHeight = options.agentHeight ?? 1.8 // Bodies entirely above this are ignored
+    this.maxStepHeight = options.maxStepHeight ?? 0.3 // Bodies entirely below this (ground) are ignored
+    this.maxSearchNodes = options.maxSearchNodes ?? 20000
+
+    this.columns = Math.ceil(this.size / this.cellSize)
+    this.rows = this.columns
+    this.origin = -this.size / 2
+
+    const cellCount = this.columns * this.rows
+    this.walkable = new Uint8Array(cellCount).fill(1)
+
+    // A* scratch buffers, reused between searches
+    this.gScore = new Float32Array(cellCount)
+    this.cameFrom = new Int32Array(cellCount)
+    this.visitedStamp = new Uint32Array(cellCount)
+    this.closedStamp = new Uint32Array(cellCount)
+    this.searchId = 0
+  }
+
+  /**
+   * Mark the cells covered by static bodies as blocked
+   * @param {CANNON.Body[]} bodies - Static bodies to rasterize
+   */
+  buildFromBodies(bodies) {
+    this.walkable.fill(1)
+
+    bodies.forEach(body => {
+      body.updateAABB()
+      const { lowerBound, upperBound } = body.aabb
+
+      // Skip the ground and anything the agent can walk under
+      if (upperBound.y <= this.maxStepHeight || lowerBound.y >= this.agentHeight) return
+
+      this.blockArea(
+        lowerBound.x - this.agentRadius,
+        lowerBound.z - this.agentRadius,
+        upperBound.x + this.agentRadius,
+        upperBound.z + this.agentRadius
+      )
+    })
+  }
+
+  blockArea(minX, minZ, maxX, maxZ) {
+    const minCell = this.worldToCell(minX, minZ)
+    const maxCell = this.worldToCell(maxX, maxZ)
+
+    for (let row = Math.max(0, minCell.row); row <= Math.min(this.rows - 1, maxCell.row); row++) {
+      for (let col = Math.max(0, minCell.col); col <= Math.min(this.columns - 1, maxCell.col); col++) {
+        this.walkable[row * this.columns + col] = 0
+      }
+    }
+  }
+
+  worldToCell(x, z) {
+    return {
+      col: Math.floor((x - this.origin) / this.cellSize),
+      row: Math.floor((z - this.origin) / this.cellSize)
+    }
+  }
+
+  cellToWorld(col, row, target = new THREE.Vector3()) {
+    return target.set(
+      this.origin + (col + 0.5) * this.cellSize,
+      0,
+      this.origin + (row + 0.5) * this.cellSize
+    )
+  }
+
+  isInBounds(col, row) {
+    return col >= 0 && row >= 0 && col < this.columns && row < this.rows
+  }
+
+  isWalkable(col, row) {
+    return this.isInBounds(col, row) && this.walkable[row * this.columns + col] === 1
+  }
+
+  isWalkableAt(x, z) {
+    const { col, row } = this.worldToCell(x, z)
+    return this.isWalkable(col, row)
+  }
+
+  /**
+   * Find the closest walkable cell by searching outward in square rings
+   * @returns {{col: number, row: number}|null}
+   */
+  findNearestWalkableCell(col, row, maxRadius = 10) {
+    if (this.isWalkable(col, row)) return { col, row }
+
+    for (let radius = 1; radius <= maxRadius; radius++) {
+      let best = null
+      let bestDistance = Infinity
+
+      for (let dRow = -radius; dRow <= radius; dRow++) {
+        for (let dCol = -radius; dCol <= radius; dCol++) {
+          // Only visit the ring's border
+          if (Math.abs(dRow) !== radius && Math.abs(dCol) !== radius) continue
+          if (!this.isWalkable(col + dCol, row + dRow)) continue
+
+          const distance = dCol * dCol + dRow * dRow
+          if (distance < bestDistance) {
+            bestDistance = distance
+            best = { col: col + dCol, row: row + dRow }
+          }
+        }
+      }
+
+      if (best) return best
+    }
+
+    return null
+  }
+
+  /**
+   * Snap a world position to the nearest walkable cell center (unchanged if already walkable)
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {THREE.Vector3|null}
+   */
+  getNearestWalkablePosition(x, z) {
+    if (this.isWalkableAt(x, z)) return new THREE.Vector3(x, 0, z)
+
+    const { col, row } = this.worldToCell(x, z)
+    const cell = this.findNearestWalkableCell(col, row)
+    return cell ? this.cellToWorld(cell.col, cell.row) : null
+  }
+
+  /**
+   * Check that a straight line between two world positions only crosses walkable cells
+   * @param {THREE.Vector3} from - Start position
+   * @param {THREE.Vector3} to - End position
+   * @returns {boolean}
+   */
+  hasClearPath(from, to) {
+    const dx = to.x - from.x
+    const dz = to.z - from.z
+    const distance = Math.sqrt(dx * dx + dz * dz)
+    const steps = Math.ceil(distance / (this.cellSize * 0.5))
+
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 0 : i / steps
+      if (!this.isWalkableAt(from.x + dx * t, from.z + dz * t)) return false
+    }
+
+    return true
+  }
+
+  /**
+   * Find a smoothed path between two world positions using A*
+   * @param {THREE.Vector3} start - Start position
+   * @param {THREE.Vector3} goal - Goal position
+   * @returns {THREE.Vector3[]|null} Waypoints excluding the start, or null if unreachable
+   */
+  findPath(start, goal) {
+    const startCell = this.worldToCell(start.x, start.z)
+    const goalCell = this.worldToCell(goal.x, goal.z)
+    const from = this.findNearestWalkableCell(startCell.col, startCell.row)
+    const to = this.findNearestWalkableCell(goalCell.col, goalCell.row)
+
+    if (!from || !to) return null
+
+    const cells = this.search(from, to)
+    if (!cells) return null
+
+    const waypoints = cells.map(index => this.cellToWorld(index % this.columns, Math.floor(index / this.columns)))
+
+    // End exactly on the goal when it is reachable, rather than on its cell center
+    if (this.isWalkableAt(goal.x, goal.z)) {
+      waypoints[waypoints.length - 1].set(goal.x, 0, goal.z)
+    }
+
+    return this.smoothPath(start, waypoints)
+  }
+
+  search(from, to) {
+    const startIndex = from.row * this.columns + from.col
+    const goalIndex = to.row * this.columns + to.col
+
+    this.searchId++
+    const id = this.searchId
+    const open = new BinaryHeap()
+
+    this.gScore[startIndex] = 0
+    this.cameFrom[startIndex] = -1
+    this.visitedStamp[startIndex] = id
+    open.push(startIndex, this.heuristic(from.col, from.row, to.col, to.row))
+
+    let expanded = 0
+
+    while (open.size() > 0 && expanded < this.maxSearchNodes) {
+      const current = open.pop()
+      if (current === goalIndex) return this.reconstructPath(current)
+      if (this.closedStamp[current] === id) continue
+
+      this.closedStamp[current] = id
+      expanded++
+
+      const col = current % this.columns
+      const row = Math.floor(current / this.columns)
+
+      for (const [dCol, dRow, cost] of NEIGHBOURS) {
+        const nextCol = col + dCol
+        const nextRow = row + dRow
+        if (!this.isWalkable(nextCol, nextRow)) continue
+
+        // Don't cut corners around blocked cells
+        if (dCol !== 0 && dRow !== 0 &&
+            (!this.isWalkable(col + dCol, row) || !this.isWalkable(col, row + dRow))) {
+          continue
+        }
+
+        const next = nextRow * this.columns + nextCol
+        if (this.closedStamp[next] === id) continue
+
+        const tentative = this.gScore[current] + cost * this.cellSize
+        if (this.visitedStamp[next] !== id || tentative < this.gScore[next]) {
+          this.visitedStamp[next] = id
+          this.gScore[next] = tentative
+          this.cameFrom[next] = current
+          open.push(next, tentative + this.heuristic(nextCol, nextRow, to.col, to.row))
+        }
+      }
+    }
+
+    return null
+  }
+
+  // Octile distance, admissible for 8-directional movement
+  heuristic(col, row, goalCol, goalRow) {
+    const dx = Math.abs(col - goalCol)
+    const dz = Math.abs(row - goalRow)
+    return (Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)) * this.cellSize
+  }
+
+  reconstructPath(index) {
+    const cells = []
+    while (index !== -1) {
+      cells.push(index)
+      index = this.cameFrom[index]
+    }
+    return cells.reverse()
+  }
+
+  /**
+   * Remove waypoints that can be skipped by walking in a straight line
+   * @param {THREE.Vector3} start - Position the path is followed from
+   * @param {THREE.Vector3[]} waypoints - Raw waypoints
+   * @returns {THREE.Vector3[]}
+   */
+  smoothPath(start, waypoints) {
+    const smoothed = []
+    let anchor = start
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      if (!this.hasClearPath(anchor, waypoints[i + 1])) {
+        smoothed.push(waypoints[i])
+        anchor = waypoints[i]
+      }
+    }
+
+    smoothed.push(waypoints[waypoints.length - 1])
+    return smoothed
+  }
+}
+
+/**
+ * Minimal binary min-heap of cell indices keyed by priority
+ */
+class BinaryHeap {
+  constructor() {
+    this.items = []
+    this.priorities = []
+  }
+
+  size() {
+    return this.items.length
+  }
+
+  push(item, priority) {
+    this.items.push(item)
+    this.priorities.push(priority)
+
+    let index = this.items.length - 1
+    while (index > 0) {
+      const parent = (index - 1) >> 1
+      if (this.priorities[parent] <= priority) break
+      this.swap(index, parent)
+      index = parent
+    }
+  }
+
+  pop() {
+    const top = this.items[0]
+    const lastItem = this.items.pop()
+    const lastPriority = this.priorities.pop()
+
+    if (this.items.length > 0) {
+      this.items[0] = lastItem
+      this.priorities[0] = lastPriority
+
+      let index = 0
+      const length = this.items.length
+      while (true) {
+        const left = index * 2 + 1
+        const right = left + 1
+        let smallest = index
+
+        if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left
+        if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right
+        if (smallest === index) break
+
+        this.swap(index, smallest)
+        index = smallest
+      }
+    }
+
+    return top
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]]
+  }
+}
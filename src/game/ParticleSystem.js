@@ -0,0 +1,215 @@
+import * as THREE from 'three'
+import { InstancedBatch } from '../utils/InstancedBatch.js'
+import { Utils } from '../utils/Utils.js'
+
+export const PARTICLE_SETTINGS = {
+  maxParticles: 600 // Budget: new particles are dropped once this many are alive
+}
+
+// Emitter presets; speeds in units per second, life in seconds, spread 0 is a straight line along the direction and 1 is any direction
+export const PARTICLE_PRESETS = {
+  muzzleFlash: { count: 6, colors: [0xffe08a, 0xffa500], speed: 4, spread: 0.3, size: 0.06, life: 0.06, gravity: 0, drag: 8 },
+  blood: { count: 10, colors: [0x8b0000, 0x5c0000, 0xa01010], speed: 3, spread: 0.6, size: 0.05, life: 0.6, gravity: 9.8, drag: 1 },
+  sparks: { count: 8, colors: [0xffd27f, 0xffa500, 0xffffff], speed: 6, spread: 0.7, size: 0.025, life: 0.35, gravity: 12, drag: 2 },
+  dust: { count: 8, colors: [0x9c8a6e, 0x7d6e58], speed: 1.5, spread: 0.5, size: 0.12, life: 0.8, gravity: 1, drag: 3 },
+  smoke: { count: 3, colors: [0x888888, 0x666666], speed: 0.6, spread: 0.4, size: 0.1, life: 1.2, gravity: -0.6, drag: 2 },
+  shockwave: { count: 40, colors: [0x9c8a6e, 0xaa7744], size: 0.3, life: 0.5, gravity: 0, drag: 0, flat: true }
+}
+
+// Which preset a bullet impact uses, by the surface of the body it hit
+const IMPACT_PRESETS = {
+  flesh: 'blood',
+  building: 'sparks',
+  ground: 'dust',
+  wood: 'dust'
+}
+
+const createParticle = () => ({
+  position: new THREE.Vector3(),
+  velocity: new THREE.Vector3(),
+  color: new THREE.Color(),
+  size: 0,
+  gravity: 0,
+  drag: 0,
+  life: 0,
+  maxLife: 0
+})
+
+const matrix = new THREE.Matrix4()
+const scale = new THREE.Vector3()
+const facing = new THREE.Quaternion()
+const randomDirection = new THREE.Vector3()
+
+// Soft round dot so the quads don't read as squares
+function createParticleTexture() {
+  const canvas = document.createElement('canvas')
+  canvas.width = 32
+  canvas.height = 32
+  const context = canvas.getContext('2d')
+  const gradient = context.createRadialGradient(16, 16, 0, 16, 16, 16)
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)')
+  gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.8)')
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)')
+  context.fillStyle = gradient
+  context.fillRect(0, 0, 32, 32)
+  return new THREE.CanvasTexture(canvas)
+}
+
+/**
+ * ParticleSystem class for every short-lived effect: muzzle flashes, blood, sparks, dust and smoke
+ * Particles are pooled plain objects, simulated in update() from the game loop and drawn as one batch
+ * of camera-facing instanced quads; they shrink away instead of fading since instances share one material
+ */
+export class ParticleSystem {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw the particles in
+   * @param {object} settings - Overrides for PARTICLE_SETTINGS
+   */
+  constructor(scene, settings = {}) {
+    this.settings = { ...PARTICLE_SETTINGS, ...settings }
+    this.particles = []
+    this.pool = Utils.createObjectPool(createParticle, () => {}, 100)
+
+    const geometry = new THREE.PlaneGeometry(1, 1)
+    const material = new THREE.MeshBasicMaterial({
+      map: createParticleTexture(),
+      transparent: true,
+      depthWrite: false
+    })
+    this.batch = new InstancedBatch(scene, geometry, material, { capacity: 256, dynamic: true })
+  }
+
+  /**
+   * Spawn a burst of particles from a preset
+   * @param {string} name - Key of PARTICLE_PRESETS
+   * @param {THREE.Vector3} position - Where the burst starts
+   * @param {THREE.Vector3} direction - Optional normalized direction to spray along
+   * @param {object} overrides - Preset values to change for this burst
+   */
+  spawn(name, position, direction = null, overrides = {}) {
+    this.emit(position, { ...PARTICLE_PRESETS[name], ...overrides }, direction)
+  }
+
+  /**
+   * Spawn a burst of particles
+   * @param {THREE.Vector3} position - Where the burst starts
+   * @param {object} options - count, colors, speed, spread, size, life (seconds), gravity, drag and flat (outward ring on the ground)
+   * @param {THREE.Vector3} direction - Optional normalized direction to spray along
+   */
+  emit(position, options = {}, direction = null) {
+    const count = options.count ?? 5
+    const colors = options.colors ?? [0xffa500]
+    const speed = options.speed ?? 2
+    const spread = direction ? options.spread ?? 1 : 1
+
+    for (let i = 0; i < count && this.particles.length < this.settings.maxParticles; i++) {
+      const particle = this.pool.get()
+      particle.position.copy(position)
+      particle.life = options.life ?? 0.5
+      particle.maxLife = particle.life
+
+      if (options.flat) {
+        // Evenly spaced around a ring; speed is options.speed or whatever covers the radius in one lifetime
+        const angle = (i / count) * Math.PI * 2
+        const ringSpeed = options.radius ? options.radius / particle.life : speed
+        particle.velocity.set(Math.cos(angle), 0, Math.sin(angle)).multiplyScalar(ringSpeed)
+        particle.position.y += 0.1
+      } else {
+        randomDirection.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize()
+        if (direction) {
+          particle.velocity.copy(direction).addScaledVector(randomDirection, spread * 2).normalize()
+        } else {
+          particle.velocity.copy(randomDirection)
+        }
+        particle.velocity.multiplyScalar(speed * (0.5 + Math.random() * 0.5))
+      }
+
+      particle.color.set(colors[Math.floor(Math.random() * colors.length)])
+      particle.size = options.size ?? 0.02
+      particle.gravity = options.gravity ?? 9.8
+      particle.drag = options.drag ?? 0
+      this.particles.push(particle)
+    }
+  }
+
+  /**
+   * Effect for a bullet hitting something, picked by what was hit
+   * @param {THREE.Vector3} position - Hit point
+   * @param {CANNON.Body} body - Body that was hit; entities bleed, environment bodies say their surface in userData
+   * @param {THREE.Vector3} direction - Optional direction the bullet was travelling
+   */
+  spawnImpact(position, body = null, direction = null) {
+    const userData = body ? body.userData : null
+    const surface = userData ? (userData.entity ? 'flesh' : userData.surface) : null
+    const preset = IMPACT_PRESETS[surface] ?? 'sparks'
+
+    // Environment debris kicks back towards the shooter, blood carries on through
+    const sprayDirection = direction && preset !== 'blood' ? direction.clone().negate() : direction
+    this.spawn(preset, position, sprayDirection)
+    if (preset === 'dust') {
+      this.spawn('smoke', position)
+    }
+  }
+
+  /**
+   * @param {THREE.Vector3} position - Muzzle position
+   * @param {THREE.Vector3} direction - Shooting direction
+   */
+  spawnMuzzleFlash(position, direction) {
+    this.spawn('muzzleFlash', position, direction)
+    this.spawn('smoke', position, direction)
+  }
+
+  /**
+   * Ring of dust racing out across the ground
+   * @param {THREE.Vector3} position - Center of the shockwave
+   * @param {number} radius - Distance the ring travels
+   */
+  spawnShockwave(position, radius) {
+    this.spawn('shockwave', position, null, { radius })
+  }
+
+  /**
+   * Move particles and rewrite the instanced quads
+   * @param {number} deltaTime - Seconds since the last update
+   * @param {THREE.Camera} camera - Quads are turned to face it
+   */
+  update(deltaTime, camera) {
+    this.batch.begin()
+    camera.getWorldQuaternion(facing)
+
+    // Iterate backwards so releasing a particle doesn't skip the next one
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i]
+      particle.life -= deltaTime
+
+      if (particle.life <= 0) {
+        this.particles.splice(i, 1)
+        this.pool.release(particle)
+        continue
+      }
+
+      particle.velocity.y -= particle.gravity * deltaTime
+      particle.velocity.multiplyScalar(Math.max(0, 1 - particle.drag * deltaTime))
+      particle.position.addScaledVector(particle.velocity, deltaTime)
+
+      scale.setScalar(particle.size * (particle.life / particle.maxLife))
+      matrix.compose(particle.position, facing, scale)
+      this.batch.add(matrix, particle.color)
+    }
+
+    this.batch.end()
+  }
+
+  clear() {
+    this.particles.forEach(particle => this.pool.release(particle))
+    this.particles = []
+    this.batch.begin()
+    this.batch.end()
+  }
+
+  // Getters
+  getStats() {
+    return { ...this.pool.getStats(), budget: this.settings.maxParticles }
+  }
+}
@@ -0,0 +1,149 @@
+import * as THREE from 'three'
+
+export const PERCEPTION_DEFAULTS = {
+  fieldOfView: 120, // Degrees, centered on the facing direction
+  sightRange: 35,
+  proximityRange: 2.5, // Targets this close are noticed even from behind
+  hearing: 1, // Multiplier on the radius of heard noises
+  memoryDuration: 8000, // Milliseconds a last known position is remembered
+  checkInterval: 200 // Milliseconds between sight checks
+}
+
+/**
+ * Perception class for what a zombie knows about its target
+ * Combines a sight cone, hearing and a memory of the target's last known position
+ */
+export class Perception {
+  /**
+   * @param {Zombie} owner - Zombie doing the perceiving; provides its mesh and line-of-sight checks
+   * @param {object} options - Overrides for PERCEPTION_DEFAULTS
+   */
+  constructor(owner, options = {}) {
+    this.owner = owner
+    this.config = { ...PERCEPTION_DEFAULTS, ...options }
+    this.fieldOfViewCos = Math.cos(THREE.MathUtils.degToRad(this.config.fieldOfView) / 2)
+
+    this.lastKnownPosition = new THREE.Vector3()
+
+    this.reset()
+  }
+
+  reset() {
+    this.awareness = 'unaware' // unaware, searching, aware
+    this.targetVisible = false
+    this.hasLastKnownPosition = false
+    this.memoryTimer = 0
+
+    // Jittered so a horde doesn't raycast on the same frame
+    this.checkTimer = Math.random() * this.config.checkInterval
+  }
+
+  /**
+   * Look for the target and let old memories fade
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {object} target - Anything with getPosition(), or null
+   */
+  update(deltaTime, target) {
+    this.checkTimer += deltaTime * 1000
+    if (this.checkTimer >= this.config.checkInterval) {
+      this.checkTimer = 0
+      this.targetVisible = target ? this.canSee(target.getPosition()) : false
+    }
+
+    if (this.targetVisible) {
+      this.remember(target.getPosition())
+      this.awareness = 'aware'
+      return
+    }
+
+    if (this.hasLastKnownPosition) {
+      this.memoryTimer -= deltaTime * 1000
+      if (this.memoryTimer <= 0) {
+        this.forget()
+      } else {
+        this.awareness = 'searching'
+      }
+    }
+  }
+
+  /**
+   * Check whether a position is within the sight cone and not hidden behind static geometry
+   * @param {THREE.Vector3} targetPosition - Position to look at
+   * @returns {boolean}
+   */
+  canSee(targetPosition) {
+    const position = this.owner.getMesh().position
+    const dx = targetPosition.x - position.x
+    const dz = targetPosition.z - position.z
+    const distance = Math.sqrt(dx * dx + dz * dz)
+
+    if (distance <= this.config.proximityRange) return true
+    if (distance > this.config.sightRange) return false
+
+    // Facing matches the rotation set in Zombie.moveTowardsTarget
+    const facing = this.owner.getMesh().rotation.y
+    const cosAngle = (Math.sin(facing) * dx + Math.cos(facing) * dz) / distance
+    if (cosAngle < this.fieldOfViewCos) return false
+
+    return this.owner.hasLineOfSight(targetPosition)
+  }
+
+  /**
+   * React to a noise such as a gunshot or footstep
+   * @param {THREE.Vector3} position - Where the noise came from
+   * @param {number} radius - How far the noise carries
+   * @returns {boolean} True if the noise was heard
+   */
+  hearNoise(position, radius) {
+    const distance = this.owner.getMesh().position.distanceTo(position)
+    if (distance > radius * this.config.hearing) return false
+
+    // A visible target is more interesting than a noise
+    if (!this.targetVisible) {
+      this.remember(position)
+    }
+
+    return true
+  }
+
+  /**
+   * Store a position to investigate
+   * @param {THREE.Vector3} position - Last known target position
+   * @param {number} duration - Optional milliseconds to remember it for
+   */
+  remember(position, duration = this.config.memoryDuration) {
+    this.lastKnownPosition.copy(position)
+    this.hasLastKnownPosition = true
+    this.memoryTimer = Math.max(this.memoryTimer, duration)
+
+    if (this.awareness === 'unaware') {
+      this.awareness = 'searching'
+    }
+  }
+
+  forget() {
+    this.hasLastKnownPosition = false
+    this.memoryTimer = 0
+    this.awareness = 'unaware'
+  }
+
+  // Getters
+  isTargetVisible() {
+    return this.targetVisible
+  }
+
+  isAware() {
+    return this.awareness !== 'unaware'
+  }
+
+  getAwareness() {
+    return this.awareness
+  }
+
+  /**
+   * @returns {THREE.Vector3|null} Last known target position, or null if there is nothing to investigate
+   */
+  getLastKnownPosition() {
+    return this.hasLastKnownPosition ? this.lastKnownPosition : null
+  }
+}
@@ -0,0 +1,55 @@
+import * as THREE from 'three'
+
+/**
+ * Pickup class for rewards lying in the world
+ * Spins and bobs in place until the player walks over it; Game collects it with a trigger volume
+ */
+export class Pickup {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the pickup to
+   * @param {THREE.Vector3} position - Ground position to drop it at
+   * @param {object} reward - What collecting it gives: health, armor, ammoMagazines and score
+   * @param {object} options - color and collectRadius
+   */
+  constructor(scene, position, reward, options = {}) {
+    this.scene = scene
+    this.reward = reward
+    this.collectRadius = options.collectRadius ?? 1.5
+    this.color = options.color ?? 0xffd700
+    this.time = 0
+    
+    this.setupVisual(position)
+  }
+
+  setupVisual(position) {
+    const geometry = new THREE.OctahedronGeometry(0.4)
+    const material = new THREE.MeshLambertMaterial({
+      color: this.color,
+      emissive: this.color,
+      emissiveIntensity: 0.5
+    })
+    
+    this.mesh = new THREE.Mesh(geometry, material)
+    this.mesh.castShadow = true
+    this.mesh.position.set(position.x, 0.8, position.z)
+    this.baseHeight = this.mesh.position.y
+    this.scene.add(this.mesh)
+  }
+
+  update(deltaTime) {
+    this.time += deltaTime
+    this.mesh.rotation.y += deltaTime * 2
+    this.mesh.position.y = this.baseHeight + Math.sin(this.time * 3) * 0.15
+  }
+
+  removeFromScene() {
+    this.scene.remove(this.mesh)
+    this.mesh.geometry.dispose()
+    this.mesh.material.dispose()
+  }
+
+  // Getters
+  getPosition() {
+    return new THREE.Vector3(this.mesh.position.x, this.baseHeight, this.mesh.position.z)
+  }
+}
@@ -1,19 +1,32 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
-import { Bullet } from './Bullet.js'
 import { HealthSystem } from './HealthSystem.js'
-import { Gun } from './Gun.js'
+import { WeaponInventory } from './WeaponInventory.js'
+import { simulationClock } from '../utils/SimulationClock.js'
+import { Utils } from '../utils/Utils.js'
 
 export class Player {
-  constructor(scene, world, camera) {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the player's weapons to
+   * @param {CANNON.World} world - Physics world to add the player to
+   * @param {THREE.Camera} camera - First person camera
+   * @param {CollisionManager} collisionManager - Used for hitscan raycasts
+   * @param {BulletPool} bulletPool - Source of projectile bullets
+   * @param {ParticleSystem} particles - Used for muzzle flashes and hitscan impact effects
+   */
+  constructor(scene, world, camera, collisionManager, bulletPool, particles) {
     this.scene = scene
     this.world = world
     this.camera = camera
+    this.collisionManager = collisionManager
+    this.bulletPool = bulletPool
+    this.particles = particles
     
-    this.health = 100
-    this.maxHealth = 100
-    this.ammo = 30
-    this.maxAmmo = 30
+    // Health with 1 second immunity after taking damage, starting with 50 of 100 armor
+    this.healthSystem = new HealthSystem(100, 1000, 50, 100)
+    
+    this.reloadTimer = 0
+    this.reloading = false
     
     this.position = new THREE.Vector3(0, 1.8, 0)
     this.velocity = new THREE.Vector3()
@@ -21,15 +34,33 @@ export class Player {
     this.jumpForce = 8
     this.isGrounded = false
     
+    // Shove from heavy hits, added on top of movement and damped over time
+    this.knockbackVelocity = new THREE.Vector3()
+    this.knockbackDamping = 6
+    
     this.bullets = []
-    this.lastShotTime = 0
-    this.fireRate = 200 // milliseconds between shots
+    this.lastShotTime = -Infinity
+    this.damageOverlay = null // Red screen tint shown when hurt
+    this.damageFlashTimer = 0
+    
+    // Called with (hit, damage) when a hitscan shot hits something
+    this.onHitscanHit = null
     
-    this.lastDamageTime = 0
-    this.damageImmunityTime = 1000 // 1 second immunity after taking damage
+    // Called with (weapon, pelletCount) every time the player fires
+    this.onShotFired = null
     
-    // Create gun
-    this.gun = new Gun(scene, camera)
+    // Called with (position, radius) when the player makes a noise zombies can hear
+    this.onNoise = null
+    this.footstepNoise = 8
+    this.footstepInterval = 400 // ms between footsteps while moving
+    this.footstepTimer = 0
+    
+    // Create weapons; stats, ammo and models come from src/data/weapons.json
+    this.inventory = new WeaponInventory(scene, camera)
+    this.gun = this.inventory.getCurrent()
+    this.inventory.onWeaponChanged = (weapon) => {
+      this.gun = weapon
+    }
     
     this.setupPhysics()
     this.setupControls()
@@ -41,7 +72,8 @@ export class Player {
     this.body = new CANNON.Body({ mass: 75 })
     this.body.addShape(shape)
     this.body.position.set(0, 1.8, 0)
-    this.body.material = new CANNON.Material('playerMaterial')
+    Utils.resetBodyInterpolation(this.body)
+    this.collisionManager.registerBody(this.body, { group: 'PLAYER', material: 'player', entity: this })
     
     // Prevent player from falling over
     this.body.fixedRotation = true
@@ -80,6 +112,7 @@ export class Player {
     // Mouse events
     document.addEventListener('mousedown', (event) => this.onMouseDown(event))
     document.addEventListener('mouseup', (event) => this.onMouseUp(event))
+    document.addEventListener('wheel', (event) => this.onMouseWheel(event))
   }
 
   onKeyDown(event) {
@@ -100,6 +133,20 @@ export class Player {
         this.keys.jump = true
         event.preventDefault()
         break
+      case 'KeyR':
+        this.startReload()
+        break
+      case 'Digit1':
+      case 'Digit2':
+      case 'Digit3':
+      case 'Digit4':
+      case 'Digit5':
+      case 'Digit6':
+      case 'Digit7':
+      case 'Digit8':
+      case 'Digit9':
+        this.switchWeapon(Number(event.code.slice(5)) - 1)
+        break
     }
   }
 
@@ -135,15 +182,37 @@ export class Player {
     }
   }
 
+  onMouseWheel(event) {
+    // With one weapon there is nothing to switch to, so keep reloading
+    if (event.deltaY === 0 || this.inventory.getWeapons().length < 2) return
+    
+    this.cancelReload()
+    this.inventory.cycle(event.deltaY > 0 ? 1 : -1)
+  }
+
+  /**
+   * Equip the weapon in the given inventory slot
+   * @param {number} index - Zero-based slot index
+   */
+  switchWeapon(index) {
+    if (index === this.inventory.currentIndex) return
+    
+    this.cancelReload()
+    this.inventory.switchTo(index)
+  }
+
   update(deltaTime) {
     // Reset grounded state at the beginning of frame
     this.isGrounded = false
     
+    this.healthSystem.update(deltaTime)
     this.updateMovement(deltaTime)
+    this.updateReload(deltaTime)
     this.updateShooting()
-    this.updateBullets(deltaTime)
+    this.updateBullets()
     this.updateCamera()
-    this.gun.update(deltaTime)
+    this.inventory.update(deltaTime)
+    this.updateDamageFlash(deltaTime)
   }
 
   updateMovement(deltaTime) {
@@ -181,12 +250,24 @@ export class Player {
     // Normalize movement and apply speed
     if (movement.length() > 0) {
       movement.normalize()
-      movement.multiplyScalar(this.moveSpeed)
+      movement.multiplyScalar(this.moveSpeed * this.healthSystem.getSpeedMultiplier())
     }
     
     // Apply movement to physics body
-    this.body.velocity.x = movement.x
-    this.body.velocity.z = movement.z
+    this.body.velocity.x = movement.x + this.knockbackVelocity.x
+    this.body.velocity.z = movement.z + this.knockbackVelocity.z
+    this.knockbackVelocity.multiplyScalar(Math.max(0, 1 - this.knockbackDamping * deltaTime))
+    
+    // Footsteps carry a short way
+    if (movement.lengthSq() > 0 && this.isGrounded) {
+      this.footstepTimer += deltaTime * 1000
+      if (this.footstepTimer >= this.footstepInterval) {
+        this.footstepTimer = 0
+        this.makeNoise(this.footstepNoise)
+      }
+    } else {
+      this.footstepTimer = 0
+    }
     
     // Handle jumping
     if (this.keys.jump && this.isGrounded) {
@@ -200,14 +281,26 @@ export class Player {
   }
 
   updateShooting() {
-    const currentTime = Date.now()
+    const currentTime = simulationClock.now()
+    
+    if (!this.keys.shoot) return
+    
+    // Firing with rounds left in the magazine interrupts a reload
+    if (this.reloading) {
+      if (this.gun.ammo === 0) return
+      this.cancelReload()
+    }
     
-    if (this.keys.shoot && 
-        currentTime - this.lastShotTime >= this.fireRate &&
-        this.ammo > 0) {
+    // Auto-reload when trying to fire an empty gun
+    if (this.gun.ammo === 0) {
+      this.startReload()
+      return
+    }
+    
+    if (currentTime - this.lastShotTime >= this.gun.fireRate) {
+      this.gun.ammo--
       this.shoot()
       this.lastShotTime = currentTime
-      this.ammo--
     }
   }
 
@@ -218,26 +311,76 @@ export class Player {
     
     // Use gun's muzzle position for bullet spawn
     const startPosition = this.gun.getBulletSpawnPosition()
+    this.particles.spawnMuzzleFlash(startPosition, direction)
     
-    const bullet = new Bullet(this.scene, this.world, startPosition, direction)
-    this.bullets.push(bullet)
+    // Shotguns fire several pellets per shot
+    for (let i = 0; i < this.gun.pelletCount; i++) {
+      const pelletDirection = this.gun.getSpreadDirection(direction)
+      
+      if (this.gun.isHitscan()) {
+        this.fireHitscan(pelletDirection)
+      } else {
+        const bullet = this.bulletPool.spawn(startPosition, pelletDirection, {
+          damage: this.gun.damage,
+          speed: this.gun.projectileSpeed,
+          source: this
+        })
+        this.bullets.push(bullet)
+      }
+    }
     
     // Trigger gun recoil animation
     this.gun.fireWeapon()
     
-    console.log('Shot fired! Ammo remaining:', this.ammo)
+    if (this.onShotFired) {
+      this.onShotFired(this.gun, this.gun.pelletCount)
+    }
+    this.makeNoise(this.gun.noise)
+    
+    console.log('Shot fired! Ammo remaining:', this.gun.ammo)
+  }
+
+  makeNoise(radius) {
+    if (this.onNoise) {
+      this.onNoise(this.position.clone(), radius)
+    }
+  }
+
+  /**
+   * Resolve a shot instantly with a raycast from the camera
+   * @param {THREE.Vector3} direction - Normalized shooting direction
+   */
+  fireHitscan(direction) {
+    const origin = this.camera.getWorldPosition(new THREE.Vector3())
+    const hit = this.collisionManager.getClosestHit(
+      new CANNON.Vec3(origin.x, origin.y, origin.z),
+      new CANNON.Vec3(direction.x, direction.y, direction.z),
+      this.gun.range
+    )
+    
+    if (!hit.hit) return
+    
+    hit.point = new THREE.Vector3(hit.point.x, hit.point.y, hit.point.z)
+    hit.direction = direction.clone()
+    this.particles.spawnImpact(hit.point, hit.body, direction)
+    
+    if (this.onHitscanHit) {
+      this.onHitscanHit(hit, this.gun.damage)
+    }
   }
 
-  updateBullets(deltaTime) {
-    this.bullets.forEach((bullet, index) => {
-      bullet.update(deltaTime)
+  updateBullets() {
+    // Iterate backwards so removal doesn't skip entries
+    for (let i = this.bullets.length - 1; i >= 0; i--) {
+      const bullet = this.bullets[i]
+      bullet.update()
       
       // Remove bullets that are too old or too far
       if (bullet.shouldRemove()) {
-        bullet.removeFromScene()
-        this.bullets.splice(index, 1)
+        this.bulletPool.release(bullet)
+        this.bullets.splice(i, 1)
       }
-    })
+    }
   }
 
   updateCamera() {
@@ -245,63 +388,162 @@ export class Player {
     this.camera.position.copy(this.position)
   }
 
-  takeDamage(amount) {
-    const currentTime = Date.now()
+  /**
+   * Place the camera and bullets between the last two physics steps for drawing
+   * @param {number} alpha - 0 for the previous step, 1 for the latest
+   */
+  interpolate(alpha) {
+    Utils.interpolateBody(this.body, alpha, this.camera.position)
+    this.bullets.forEach(bullet => bullet.interpolate(alpha))
+  }
+
+  /**
+   * Apply damage to the player
+   * @param {number|object} damage - Amount, or a damage descriptor with type, source and hitPoint
+   * @returns {boolean} True if damage was applied, false if blocked by immunity
+   */
+  takeDamage(damage) {
+    const applied = this.healthSystem.takeDamage(damage)
     
-    // Check damage immunity
-    if (currentTime - this.lastDamageTime < this.damageImmunityTime) {
-      return
+    // Visual feedback for taking damage
+    if (applied) {
+      this.flashDamage()
     }
     
-    this.health -= amount
-    this.health = Math.max(0, this.health)
-    this.lastDamageTime = currentTime
-    
-    // Visual feedback for taking damage
-    this.flashDamage()
+    return applied
   }
 
   flashDamage() {
     // Add red tint to screen briefly
-    const overlay = document.createElement('div')
-    overlay.style.position = 'fixed'
-    overlay.style.top = '0'
-    overlay.style.left = '0'
-    overlay.style.width = '100%'
-    overlay.style.height = '100%'
-    overlay.style.backgroundColor = 'rgba(255, 0, 0, 0.3)'
-    overlay.style.pointerEvents = 'none'
-    overlay.style.zIndex = '1000'
-    document.body.appendChild(overlay)
-    
-    setTimeout(() => {
-      document.body.removeChild(overlay)
-    }, 200)
+    if (!this.damageOverlay) {
+      const overlay = document.createElement('div')
+      overlay.style.position = 'fixed'
+      overlay.style.top = '0'
+      overlay.style.left = '0'
+      overlay.style.width = '100%'
+      overlay.style.height = '100%'
+      overlay.style.backgroundColor = 'rgba(255, 0, 0, 0.3)'
+      overlay.style.pointerEvents = 'none'
+      overlay.style.zIndex = '1000'
+      this.damageOverlay = overlay
+    }
+    
+    if (!this.damageOverlay.parentNode) {
+      document.body.appendChild(this.damageOverlay)
+    }
+    this.damageFlashTimer = 200
+  }
+
+  // The tint counts down in simulated time, so it lasts the same at any frame rate
+  updateDamageFlash(deltaTime) {
+    if (this.damageFlashTimer <= 0) return
+    
+    this.damageFlashTimer -= deltaTime * 1000
+    if (this.damageFlashTimer <= 0) {
+      this.clearDamageFlash()
+    }
+  }
+
+  clearDamageFlash() {
+    this.damageFlashTimer = 0
+    if (this.damageOverlay && this.damageOverlay.parentNode) {
+      document.body.removeChild(this.damageOverlay)
+    }
+  }
+
+  /**
+   * Begin reloading if the magazine isn't full and there is reserve ammo
+   * @returns {boolean} True if a reload was started
+   */
+  startReload() {
+    if (this.reloading || !this.gun.canReload()) {
+      return false
+    }
+    
+    this.reloading = true
+    this.reloadTimer = 0
+    this.gun.playReloadAnimation(this.gun.reloadTime)
+    
+    return true
+  }
+
+  cancelReload() {
+    if (!this.reloading) return
+    
+    this.reloading = false
+    this.reloadTimer = 0
+    this.gun.stopReloadAnimation()
+  }
+
+  updateReload(deltaTime) {
+    if (!this.reloading) return
+    
+    this.reloadTimer += deltaTime * 1000
+    if (this.reloadTimer >= this.gun.reloadTime) {
+      this.reload()
+    }
   }
 
+  /**
+   * Finish a reload by moving rounds from the reserve into the magazine
+   */
   reload() {
-    this.ammo = this.maxAmmo
-    console.log('Reloaded! Ammo:', this.ammo)
+    this.gun.refillMagazine()
+    
+    this.reloading = false
+    this.reloadTimer = 0
+    this.gun.stopReloadAnimation()
+  }
+
+  /**
+   * Shove the player away from a hit
+   * @param {THREE.Vector3} direction - Horizontal push direction
+   * @param {number} strength - Initial push speed
+   */
+  applyKnockback(direction, strength) {
+    const push = new THREE.Vector3(direction.x, 0, direction.z).normalize().multiplyScalar(strength)
+    this.knockbackVelocity.add(push)
+    
+    // Small hop so ground friction doesn't eat the shove
+    if (this.isGrounded) {
+      this.body.velocity.y = Math.max(this.body.velocity.y, 3)
+    }
+  }
+
+  /**
+   * Give every carried weapon extra reserve ammo
+   * @param {number} magazines - Magazines per weapon
+   */
+  restockAmmo(magazines) {
+    this.inventory.restock(magazines)
   }
 
   reset() {
-    this.health = this.maxHealth
-    this.ammo = this.maxAmmo
+    this.healthSystem.reset()
+    this.cancelReload()
+    this.inventory.reset()
     this.position.set(0, 1.8, 0)
     this.body.position.set(0, 1.8, 0)
+    Utils.resetBodyInterpolation(this.body)
     this.body.velocity.set(0, 0, 0)
+    this.knockbackVelocity.set(0, 0, 0)
     
     // Remove all bullets
-    this.bullets.forEach(bullet => bullet.removeFromScene())
+    this.bullets.forEach(bullet => this.bulletPool.release(bullet))
     this.bullets = []
     
-    this.lastDamageTime = 0
-    this.lastShotTime = 0
+    this.lastShotTime = -Infinity
+    this.clearDamageFlash()
   }
 
   // Getters
-  getHealth() { return this.health }
-  getAmmo() { return this.ammo }
+  getHealth() { return this.healthSystem.getHealth() }
+  getHealthSystem() { return this.healthSystem }
+  getAmmo() { return this.gun.ammo }
+  getReserveAmmo() { return this.gun.reserveAmmo }
+  getWeapon() { return this.gun }
+  isReloading() { return this.reloading }
+  getReloadProgress() { return this.reloading ? Math.min(1, this.reloadTimer / this.gun.reloadTime) : 0 }
   getPosition() { return this.position }
   getBullets() { return this.bullets }
 }
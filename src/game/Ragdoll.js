@@ -0,0 +1,273 @@
+import * as THREE from 'three'
+import * as CANNON from 'cannon-es'
+import { ZOMBIE_PROXY_LAYER } from './ZombieRenderer.js'
+import { Utils } from '../utils/Utils.js'
+
+export const RAGDOLL = {
+  impulsePerDamage: 0.8, // Impulse from the killing shot per point of damage
+  maxImpulse: 80,
+  collapseSpeed: 1.5, // Sideways push on the chest at death so bodies don't die standing up
+  linearDamping: 0.1,
+  angularDamping: 0.5
+}
+
+// Share of the zombie's mass given to each body part
+const PART_MASS = {
+  body: 0.5,
+  head: 0.08,
+  leftArm: 0.06,
+  rightArm: 0.06,
+  leftLeg: 0.15,
+  rightLeg: 0.15
+}
+
+// Joints to the torso: which end of the part attaches (+1 top, -1 bottom) and how far it can swing, in radians
+const JOINTS = {
+  head: { end: -1, angle: 0.6, twistAngle: 0.4 },
+  leftArm: { end: 1, angle: 1.6, twistAngle: 0.6 },
+  rightArm: { end: 1, angle: 1.6, twistAngle: 0.6 },
+  leftLeg: { end: 1, angle: 1.4, twistAngle: 0.3 },
+  rightLeg: { end: 1, angle: 1.4, twistAngle: 0.3 }
+}
+
+const worldPosition = new THREE.Vector3()
+const worldQuaternion = new THREE.Quaternion()
+const worldScale = new THREE.Vector3()
+const size = new THREE.Vector3()
+
+/**
+ * Ragdoll class for a dead zombie
+ * Turns the zombie's head, body, arm and leg meshes into physics bodies joined with cone-twist constraints,
+ * starting from the pose the zombie died in
+ */
+export class Ragdoll {
+  /**
+   * @param {THREE.Scene} scene - Scene the zombie is in
+   * @param {CANNON.World} world - Physics world to add the parts to
+   * @param {Zombie} zombie - Zombie that died; its capsule body should already be out of the world
+   */
+  constructor(scene, world, zombie) {
+    this.scene = scene
+    this.world = world
+    this.parts = {} // zone -> { mesh, body }
+    this.constraints = []
+    this.materials = [] // Own materials, created once the corpse starts fading
+    this.restored = [] // { mesh, material } to hand the parts back to the instanced renderer
+    this.active = true // False once the physics has been removed
+
+    zombie.group.updateMatrixWorld(true)
+    this.createParts(zombie)
+    this.attachLooseMeshes(zombie.group)
+    this.createJoints()
+    this.collapse()
+
+    // Keep the meshes' current world transform now they're no longer under the group
+    Object.values(this.parts).forEach(({ mesh }) => this.scene.attach(mesh))
+  }
+
+  createParts(zombie) {
+    Object.entries(zombie.hitZoneMeshes).forEach(([zone, mesh]) => {
+      // Blown-off arms stay hidden and take no part
+      if (!mesh.visible) return
+
+      mesh.matrixWorld.decompose(worldPosition, worldQuaternion, worldScale)
+
+      if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox()
+      mesh.geometry.boundingBox.getSize(size).multiply(worldScale)
+      const body = new CANNON.Body({
+        mass: zombie.mass * PART_MASS[zone],
+        linearDamping: RAGDOLL.linearDamping,
+        angularDamping: RAGDOLL.angularDamping
+      })
+
+      if (zone === 'head') {
+        body.addShape(new CANNON.Sphere(size.x / 2))
+      } else if (zone === 'body') {
+        // The torso mesh reaches down between the legs; only its upper half collides so the legs carry it
+        body.addShape(
+          new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 4, size.z / 2)),
+          new CANNON.Vec3(0, size.y / 4, 0)
+        )
+      } else {
+        body.addShape(new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)))
+      }
+      body.position.set(worldPosition.x, worldPosition.y, worldPosition.z)
+      body.quaternion.set(worldQuaternion.x, worldQuaternion.y, worldQuaternion.z, worldQuaternion.w)
+      Utils.resetBodyInterpolation(body)
+      body.velocity.copy(zombie.body.velocity)
+      zombie.collisionManager.registerBody(body, { group: 'CORPSE', material: 'zombie', entity: zombie, hitZone: zone })
+
+      this.world.addBody(body)
+      this.parts[zone] = { mesh, body, halfLength: size.y / 2 }
+    })
+  }
+
+  // Eyes and other details ride along with the nearest body part
+  attachLooseMeshes(group) {
+    const partMeshes = Object.values(this.parts).map(part => part.mesh)
+    const loose = group.children.filter(child => !partMeshes.includes(child) && child.visible)
+
+    loose.forEach(child => {
+      const position = child.getWorldPosition(worldPosition)
+      let closest = null
+      let closestDistance = Infinity
+      partMeshes.forEach(mesh => {
+        const distance = mesh.getWorldPosition(size).distanceTo(position)
+        if (distance < closestDistance) {
+          closestDistance = distance
+          closest = mesh
+        }
+      })
+
+      if (closest) closest.attach(child)
+    })
+  }
+
+  createJoints() {
+    const torso = this.parts.body
+    if (!torso) return
+
+    Object.entries(JOINTS).forEach(([zone, joint]) => {
+      const part = this.parts[zone]
+      if (!part) return
+
+      // Pivot at the end of the part nearest the torso, along its long axis
+      const pivot = new CANNON.Vec3(0, joint.end * part.halfLength, 0)
+      const worldPivot = part.body.pointToWorldFrame(pivot)
+      const axis = part.body.vectorToWorldFrame(new CANNON.Vec3(0, 1, 0))
+
+      const constraint = new CANNON.ConeTwistConstraint(torso.body, part.body, {
+        pivotA: torso.body.pointToLocalFrame(worldPivot),
+        pivotB: pivot,
+        axisA: torso.body.vectorToLocalFrame(axis),
+        axisB: new CANNON.Vec3(0, 1, 0),
+        angle: joint.angle,
+        twistAngle: joint.twistAngle,
+        collideConnected: false
+      })
+      this.world.addConstraint(constraint)
+      this.constraints.push(constraint)
+    })
+  }
+
+  // Tip the torso over in a random direction
+  collapse() {
+    const torso = this.parts.body
+    if (!torso) return
+
+    const angle = Math.random() * Math.PI * 2
+    const strength = RAGDOLL.collapseSpeed * torso.body.mass
+    torso.body.applyImpulse(
+      new CANNON.Vec3(Math.cos(angle) * strength, 0, Math.sin(angle) * strength),
+      torso.body.vectorToWorldFrame(new CANNON.Vec3(0, torso.halfLength, 0))
+    )
+  }
+
+  /**
+   * Knock a body part with an impulse at a world point, e.g. from a bullet
+   * @param {string} zone - Hit zone of the part; falls back to the torso
+   * @param {THREE.Vector3} point - World position of the hit
+   * @param {THREE.Vector3} direction - Normalized push direction
+   * @param {number} strength - Impulse magnitude, capped at RAGDOLL.maxImpulse
+   */
+  applyImpulse(zone, point, direction, strength) {
+    if (!this.active) return
+
+    const part = this.parts[zone] || this.parts.body
+    if (!part) return
+
+    const magnitude = Math.min(strength, RAGDOLL.maxImpulse)
+    const impulse = new CANNON.Vec3(direction.x * magnitude, direction.y * magnitude, direction.z * magnitude)
+    const relativePoint = point
+      ? new CANNON.Vec3(point.x - part.body.position.x, point.y - part.body.position.y, point.z - part.body.position.z)
+      : new CANNON.Vec3()
+
+    part.body.wakeUp()
+    part.body.applyImpulse(impulse, relativePoint)
+  }
+
+  /**
+   * Copy the physics pose onto the meshes
+   * @param {number} alpha - Where between the previous and latest physics step to draw them (1 = latest)
+   */
+  update(alpha = 1) {
+    if (!this.active) return
+
+    Object.values(this.parts).forEach(({ mesh, body }) => {
+      Utils.interpolateBody(body, alpha, mesh.position, mesh.quaternion)
+      mesh.updateMatrixWorld()
+    })
+  }
+
+  /**
+   * Take the parts out of the physics world, leaving the meshes where they lie
+   */
+  settle() {
+    if (!this.active) return
+
+    this.active = false
+    this.constraints.forEach(constraint => this.world.removeConstraint(constraint))
+    Object.values(this.parts).forEach(({ body }) => this.world.removeBody(body))
+  }
+
+  setOpacity(opacity) {
+    if (this.materials.length === 0) {
+      this.takeOverRendering()
+    }
+
+    this.materials.forEach(material => {
+      material.opacity = opacity
+    })
+  }
+
+  // Instanced parts share one material, so a fading corpse draws its parts itself with materials of its own
+  takeOverRendering() {
+    Object.values(this.parts).forEach(({ mesh }) => {
+      mesh.traverse(child => {
+        if (!child.userData.instanced) return
+
+        this.restored.push({ mesh: child, material: child.material })
+        child.material = child.material.clone()
+        child.material.userData.shared = false // Cloning copies the cache flag
+        child.material.color.copy(child.userData.color)
+        child.material.transparent = true
+        child.layers.set(0)
+        child.userData.instanced = false
+        this.materials.push(child.material)
+      })
+    })
+  }
+
+  /**
+   * Remove the corpse; the meshes belong to the zombie, so they get their shared materials back
+   * and the zombie can be respawned from its pool
+   */
+  removeFromScene() {
+    this.settle()
+
+    Object.values(this.parts).forEach(({ mesh }) => this.scene.remove(mesh))
+
+    this.restored.forEach(({ mesh, material }) => {
+      mesh.material = material
+      mesh.layers.set(ZOMBIE_PROXY_LAYER)
+      mesh.userData.instanced = true
+    })
+    this.materials.forEach(material => material.dispose())
+    this.restored = []
+    this.materials = []
+  }
+
+  // Getters
+  isActive() {
+    return this.active
+  }
+
+  /**
+   * @returns {boolean} True when every part has nearly stopped moving
+   */
+  isAtRest() {
+    return Object.values(this.parts).every(({ body }) => {
+      return body.velocity.lengthSquared() < 0.01 && body.angularVelocity.lengthSquared() < 0.01
+    })
+  }
+}
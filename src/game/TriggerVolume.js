@@ -0,0 +1,71 @@
+import * as THREE from 'three'
+
+/**
+ * TriggerVolume class for sensor areas that report what enters, stays in and leaves them
+ * Triggers never push anything. CollisionManager tests them against body bounding boxes on every update
+ * and hands the overlapping bodies to update(), which fires the callbacks
+ */
+export class TriggerVolume {
+  /**
+   * @param {object} options - shape ('sphere' or 'box'), position, radius (sphere), halfExtents (box),
+   *   groups (COLLISION_GROUPS names to detect, all when left out), onEnter, onStay and onExit
+   */
+  constructor(options = {}) {
+    this.shape = options.shape ?? 'sphere'
+    this.position = new THREE.Vector3().copy(options.position ?? new THREE.Vector3())
+    this.radius = options.radius ?? 1
+    this.halfExtents = new THREE.Vector3().copy(options.halfExtents ?? new THREE.Vector3(1, 1, 1))
+    this.groups = options.groups ?? null
+    this.enabled = true
+    this.bodies = new Set() // Bodies inside as of the last update
+
+    // Called with (entity, body, trigger); entity is the body's owner, or null for environment bodies
+    this.onEnter = options.onEnter ?? null
+    this.onStay = options.onStay ?? null
+    this.onExit = options.onExit ?? null
+  }
+
+  /**
+   * Compare what is inside now with the last update and fire the callbacks
+   * @param {CANNON.Body[]} bodies - Bodies overlapping the volume now
+   */
+  update(bodies) {
+    const current = new Set(bodies)
+
+    this.bodies.forEach(body => {
+      if (current.has(body)) return
+      this.bodies.delete(body)
+      if (this.onExit) this.onExit(getEntity(body), body, this)
+    })
+
+    current.forEach(body => {
+      // A callback may have removed the trigger
+      if (!this.enabled) return
+
+      if (this.bodies.has(body)) {
+        if (this.onStay) this.onStay(getEntity(body), body, this)
+      } else {
+        this.bodies.add(body)
+        if (this.onEnter) this.onEnter(getEntity(body), body, this)
+      }
+    })
+  }
+
+  // Getters
+  getEntities() {
+    const entities = new Set()
+    this.bodies.forEach(body => {
+      const entity = getEntity(body)
+      if (entity) entities.add(entity)
+    })
+    return [...entities]
+  }
+
+  contains(entity) {
+    return this.getEntities().includes(entity)
+  }
+}
+
+function getEntity(body) {
+  return body.userData ? body.userData.entity : null
+}
@@ -0,0 +1,153 @@
+import defaultWaveConfig from '../data/waves.json'
+
+/**
+ * WaveDirector class for driving zombie spawning in numbered waves
+ * Each wave has a zombie budget and spawn pacing, followed by a break with a countdown
+ */
+export class WaveDirector {
+  constructor(config = defaultWaveConfig) {
+    this.config = config
+
+    // Callback functions
+    this.onSpawnRequested = null // (count, wave) => number of zombies actually spawned
+    this.onWaveStarted = null
+    this.onWaveCleared = null
+    this.onBossRequested = null // (wave) => spawns the wave's boss
+
+    this.reset()
+  }
+
+  /**
+   * Return the director to its pre-game state
+   */
+  reset() {
+    this.waveNumber = 0
+    this.state = 'break' // break, active
+    this.breakTimer = this.config.initialDelay
+    this.spawnTimer = 0
+    this.spawnedThisWave = 0
+    this.currentWave = null
+  }
+
+  /**
+   * Resolve the settings for a wave from the base values, per-wave scaling and overrides
+   * @param {number} waveNumber - 1-based wave number
+   * @returns {object} Wave settings
+   */
+  getWaveSettings(waveNumber) {
+    const { base, perWave, limits, waves } = this.config
+    const settings = {}
+
+    Object.keys(base).forEach(key => {
+      const step = perWave[key] || 0
+      let value = base[key] + step * (waveNumber - 1)
+
+      // Limits are a floor for values that shrink per wave and a ceiling otherwise
+      if (limits[key] !== undefined) {
+        value = step < 0 ? Math.max(limits[key], value) : Math.min(limits[key], value)
+      }
+
+      settings[key] = value
+    })
+
+    // Every bossInterval-th wave has a boss unless an override says otherwise
+    const bossInterval = this.config.bossInterval || 0
+    settings.boss = bossInterval > 0 && waveNumber % bossInterval === 0
+    settings.bossType = this.config.bossType
+
+    Object.assign(settings, waves[waveNumber])
+
+    settings.zombieBudget = Math.floor(settings.zombieBudget)
+    settings.maxAlive = Math.floor(settings.maxAlive)
+    settings.spawnBurst = Math.max(1, Math.floor(settings.spawnBurst))
+
+    return settings
+  }
+
+  startNextWave() {
+    this.waveNumber++
+    this.state = 'active'
+    this.spawnTimer = 0
+    this.spawnedThisWave = 0
+    this.currentWave = this.getWaveSettings(this.waveNumber)
+
+    if (this.onWaveStarted) {
+      this.onWaveStarted(this.waveNumber, this.currentWave)
+    }
+
+    // The boss is alive until killed, so the wave can't clear without it
+    if (this.currentWave.boss && this.onBossRequested) {
+      this.onBossRequested(this.currentWave)
+    }
+  }
+
+  /**
+   * Advance the director
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {number} aliveCount - Number of zombies currently alive
+   */
+  update(deltaTime, aliveCount) {
+    if (this.state === 'break') {
+      this.breakTimer -= deltaTime * 1000
+      if (this.breakTimer <= 0) {
+        this.startNextWave()
+      }
+      return
+    }
+
+    const wave = this.currentWave
+    const remainingBudget = wave.zombieBudget - this.spawnedThisWave
+
+    if (remainingBudget > 0) {
+      this.spawnTimer += deltaTime * 1000
+
+      if (this.spawnTimer >= wave.spawnInterval && aliveCount < wave.maxAlive) {
+        this.spawnTimer = 0
+
+        const count = Math.min(wave.spawnBurst, remainingBudget, wave.maxAlive - aliveCount)
+        const spawned = this.onSpawnRequested ? this.onSpawnRequested(count, wave) : 0
+        this.spawnedThisWave += spawned
+      }
+    } else if (aliveCount === 0) {
+      this.clearWave()
+    }
+  }
+
+  clearWave() {
+    this.state = 'break'
+    this.breakTimer = this.config.breakDuration
+
+    if (this.onWaveCleared) {
+      this.onWaveCleared(this.waveNumber, this.currentWave)
+    }
+  }
+
+  // Getters
+  getWaveNumber() {
+    return this.waveNumber
+  }
+
+  getCurrentWave() {
+    return this.currentWave
+  }
+
+  isInBreak() {
+    return this.state === 'break'
+  }
+
+  /**
+   * @returns {number} Seconds left until the next wave starts (0 while a wave is active)
+   */
+  getBreakCountdown() {
+    return this.state === 'break' ? Math.max(0, Math.ceil(this.breakTimer / 1000)) : 0
+  }
+
+  /**
+   * @param {number} aliveCount - Number of zombies currently alive
+   * @returns {number} Zombies still to be killed in the current wave
+   */
+  getRemainingZombies(aliveCount) {
+    if (!this.currentWave || this.state === 'break') return 0
+    return this.currentWave.zombieBudget - this.spawnedThisWave + aliveCount
+  }
+}
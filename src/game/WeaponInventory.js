@@ -0,0 +1,89 @@
+import { Gun } from './Gun.js'
+import weaponData from '../data/weapons.json'
+
+/**
+ * WeaponInventory class for the player's carried weapons
+ * Creates one Gun per weapon in the loadout and tracks which one is equipped
+ */
+export class WeaponInventory {
+  /**
+   * @param {THREE.Scene} scene - Scene the guns belong to
+   * @param {THREE.Camera} camera - Camera the guns are attached to
+   * @param {object} data - Weapon data with a loadout list and weapon definitions
+   */
+  constructor(scene, camera, data = weaponData) {
+    this.weapons = data.loadout.map(id => {
+      const definition = data.weapons[id]
+      if (!definition) {
+        throw new Error(`Unknown weapon in loadout: ${id}`)
+      }
+      return new Gun(scene, camera, { id, ...definition })
+    })
+
+    this.currentIndex = 0
+
+    // Callback function
+    this.onWeaponChanged = null
+
+    this.weapons.forEach((weapon, index) => weapon.setVisible(index === this.currentIndex))
+  }
+
+  /**
+   * Equip the weapon in the given slot
+   * @param {number} index - Zero-based slot index
+   * @returns {boolean} True if the equipped weapon changed
+   */
+  switchTo(index) {
+    if (index < 0 || index >= this.weapons.length || index === this.currentIndex) {
+      return false
+    }
+
+    const previous = this.getCurrent()
+    previous.stopReloadAnimation()
+    previous.setVisible(false)
+
+    this.currentIndex = index
+    this.getCurrent().setVisible(true)
+
+    if (this.onWeaponChanged) {
+      this.onWeaponChanged(this.getCurrent(), previous)
+    }
+
+    return true
+  }
+
+  /**
+   * Cycle through the weapons, wrapping around at either end
+   * @param {number} step - 1 for next, -1 for previous
+   */
+  cycle(step) {
+    const count = this.weapons.length
+    return this.switchTo((this.currentIndex + step + count) % count)
+  }
+
+  /**
+   * Give every weapon a number of magazines worth of reserve ammo
+   * @param {number} magazines - Magazines per weapon
+   */
+  restock(magazines) {
+    this.weapons.forEach(weapon => weapon.addAmmo(weapon.magazineSize * magazines))
+  }
+
+  reset() {
+    this.weapons.forEach(weapon => weapon.resetAmmo())
+    this.switchTo(0)
+  }
+
+  update(deltaTime) {
+    this.getCurrent().update(deltaTime)
+  }
+
+  // Getters
+  getCurrent() {
+    return this.weapons[this.currentIndex]
+  }
+
+  getWeapons() {
+    return this.weapons
+  }
+}
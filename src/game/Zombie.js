@@ -1,88 +1,242 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
+import { HealthSystem, DAMAGE_TYPES } from './HealthSystem.js'
+import { Perception } from './Perception.js'
+import { Ragdoll, RAGDOLL } from './Ragdoll.js'
+import { ZOMBIE_PROXY_LAYER } from './ZombieRenderer.js'
+import { createBehaviorTree } from './ZombieBehaviors.js'
+import { resourceCache } from '../utils/ResourceCache.js'
+import { simulationClock } from '../utils/SimulationClock.js'
+import { Utils } from '../utils/Utils.js'
+import zombieData from '../data/zombies.json'
+
+// Damage multipliers per hit zone; limbs also have their own health so they can be crippled
+export const HIT_ZONES = {
+  head: { damageMultiplier: 2.5 },
+  body: { damageMultiplier: 1.0 },
+  leftArm: { damageMultiplier: 0.6, limbHealth: 40 },
+  rightArm: { damageMultiplier: 0.6, limbHealth: 40 },
+  leftLeg: { damageMultiplier: 0.7, limbHealth: 50 },
+  rightLeg: { damageMultiplier: 0.7, limbHealth: 50 }
+}
+
+const hitZoneRaycaster = new THREE.Raycaster()
+hitZoneRaycaster.layers.set(ZOMBIE_PROXY_LAYER)
+const hitZoneBox = new THREE.Box3()
+
+const DEFAULT_TYPE = { id: zombieData.defaultType, ...zombieData.types[zombieData.defaultType] }
 
 export class Zombie {
-  constructor(scene, world, x, y, z) {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the zombie to
+   * @param {CANNON.World} world - Physics world to add the zombie to
+   * @param {CollisionManager} collisionManager - Registers the body and answers line-of-sight checks
+   * @param {number} x - Spawn position
+   * @param {number} y - Ground height at the spawn position
+   * @param {number} z - Spawn position
+   * @param {object} definition - Zombie type from src/data/zombies.json (see ZombieRegistry)
+   */
+  constructor(scene, world, collisionManager, x, y, z, definition = DEFAULT_TYPE) {
     this.scene = scene
     this.world = world
-    
-    this.health = 100
-    this.maxHealth = 100
-    this.speed = 3
-    this.attackDamage = 10
-    this.attackRange = 2
-    this.attackCooldown = 1500 // 1.5 seconds
-    this.lastAttackTime = 0
+    this.collisionManager = collisionManager
+    this.definition = definition
+    
+    // Archetype
+    this.type = definition.id
+    this.name = definition.name
+    this.colors = definition.colors
+    this.scale = new THREE.Vector3().fromArray(definition.scale)
+    this.mass = definition.mass
+    
+    // No immunity window, every pellet of a shotgun blast should land
+    this.healthSystem = new HealthSystem(definition.health, 0)
+    this.healthSystem.onDeath = () => this.die()
+    this.scoreValue = definition.scoreValue
+    
+    // Attack behaviour
+    const attack = definition.attack
+    this.attackType = attack.type // melee or ranged
+    this.attackDamageType = attack.damageType ?? DAMAGE_TYPES.MELEE
+    this.attackRange = attack.range
+    this.attackEffect = attack.effect ?? null // Status effect inflicted on the player by attacks
+    this.knockback = attack.knockback ?? 0 // Speed the player is shoved away at by a melee hit
+    this.projectile = attack.projectile ?? null
+    
+    // Hit zones
+    this.headshotInstantKill = definition.headshotInstantKill // Weaker zombies die to any headshot
+    this.legHitSlow = 0.15 // Fraction of base speed lost per leg hit
+    this.minSpeedFactor = 0.3
+    this.limbHealth = {}
+    this.lostLimbs = new Set()
+    
+    // Called with (zombie, hitZone) when the zombie dies
+    this.onDeath = null
     
     this.target = null
-    this.state = 'idle' // idle, chasing, attacking, dead
     
     this.setupVisual(x, y, z)
     this.setupPhysics(x, y, z)
     this.setupAI()
+    
+    // Zombies only chase what they can see, hear or remember
+    this.perception = new Perception(this, definition.perception)
+    
+    this.resetState()
+  }
+
+  /**
+   * Put everything that changes over a zombie's life back to its archetype's starting values,
+   * so pooled zombies come back fresh
+   */
+  resetState() {
+    const definition = this.definition
+    
+    this.healthSystem.setMaxHealth(definition.health)
+    this.healthSystem.reset()
+    this.baseSpeed = definition.speed
+    this.speedFactor = 1
+    this.speed = this.baseSpeed
+    this.attackDamage = definition.attack.damage
+    this.attackCooldown = definition.attack.cooldown
+    this.lastAttackTime = -Infinity
+    this.enraged = false
+    this.damageFlashTimer = 0 // ms left showing the red hit flash
+    this.attackPoseTimer = 0 // ms left holding the arms up after an attack
+    
+    // Colors change when hurt or enraged
+    this.colors = definition.colors
+    this.bodyMesh.userData.color.set(this.colors.body)
+    this.headMesh.userData.color.set(this.colors.head)
+    this.leftArm.userData.color.set(this.colors.arms)
+    this.rightArm.userData.color.set(this.colors.arms)
+    this.leftLeg.userData.color.set(this.colors.legs)
+    this.rightLeg.userData.color.set(this.colors.legs)
+    
+    Object.entries(HIT_ZONES).forEach(([zone, config]) => {
+      if (config.limbHealth) this.limbHealth[zone] = config.limbHealth
+    })
+    this.lostLimbs.clear()
+    this.lastHitZone = null
+    this.lastHitPoint = null
+    this.lastHitDirection = null
+    this.lastHitAmount = 0
+    
+    // Built on death from the body part meshes
+    this.ragdoll = null
+    
+    this.state = 'idle' // idle, wandering, investigating, chasing, attacking, dead
+    this.pathfindingTimer = 0
+    this.stuckTimer = 0
+    this.clearPath()
+    this.perception.reset()
+    
+    // Decisions come from the archetype's behavior tree (see ZombieBehaviors.js); nodes hold state, so build a fresh one
+    this.behavior = createBehaviorTree(this, definition.behavior)
+  }
+
+  /**
+   * Bring a pooled zombie back to life at a new position
+   * @param {number} x - Spawn position
+   * @param {number} y - Ground height at the spawn position
+   * @param {number} z - Spawn position
+   */
+  respawn(x, y, z) {
+    this.resetState()
+    this.resetPose()
+    
+    this.group.position.set(x, y, z)
+    this.group.rotation.set(0, 0, 0)
+    this.lastPosition.copy(this.group.position)
+    this.body.position.set(x, y + this.halfHeight, z)
+    Utils.resetBodyInterpolation(this.body)
+    this.body.velocity.set(0, 0, 0)
+    
+    if (!this.group.parent) this.scene.add(this.group)
+    if (!this.body.world) this.world.addBody(this.body)
+  }
+
+  // Put every body part back in the group in its starting pose
+  resetPose() {
+    this.restPose.forEach(({ part, position, rotation }) => {
+      this.group.add(part)
+      part.position.copy(position)
+      part.rotation.copy(rotation)
+      part.scale.set(1, 1, 1)
+      part.visible = true
+    })
   }
 
   setupVisual(x, y, z) {
     // Create zombie group
     this.group = new THREE.Group()
     
+    // The parts are invisible proxies; ZombieRenderer draws them all with instancing
+    this.renderParts = []
+    const material = resourceCache.getMaterial('zombie', () => new THREE.MeshLambertMaterial())
+    
     // Body (cylinder for simplicity)
-    const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.4, 1.6, 8)
-    const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0x4a5d23 }) // Dark green
-    this.bodyMesh = new THREE.Mesh(bodyGeometry, bodyMaterial)
+    const bodyGeometry = resourceCache.getGeometry('zombie-body', () => new THREE.CylinderGeometry(0.3, 0.4, 1.6, 8))
+    this.bodyMesh = this.createPart(bodyGeometry, material, this.colors.body)
     this.bodyMesh.position.y = 0.8
-    this.bodyMesh.castShadow = true
-    this.group.add(this.bodyMesh)
     
     // Head
-    const headGeometry = new THREE.SphereGeometry(0.25, 8, 8)
-    const headMaterial = new THREE.MeshLambertMaterial({ color: 0x6b7c32 }) // Slightly lighter green
-    this.headMesh = new THREE.Mesh(headGeometry, headMaterial)
+    const headGeometry = resourceCache.getGeometry('zombie-head', () => new THREE.SphereGeometry(0.25, 8, 8))
+    this.headMesh = this.createPart(headGeometry, material, this.colors.head)
     this.headMesh.position.y = 1.8
-    this.headMesh.castShadow = true
-    this.group.add(this.headMesh)
     
     // Eyes (red dots)
-    const eyeGeometry = new THREE.SphereGeometry(0.05, 4, 4)
-    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000, emissive: 0x440000 })
+    const eyeGeometry = resourceCache.getGeometry('zombie-eye', () => new THREE.SphereGeometry(0.05, 4, 4))
+    const eyeMaterial = resourceCache.getMaterial('zombie-eye', () => new THREE.MeshBasicMaterial())
     
-    const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial)
+    const leftEye = this.createPart(eyeGeometry, eyeMaterial, 0xff0000)
     leftEye.position.set(-0.1, 1.85, 0.2)
-    this.group.add(leftEye)
     
-    const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial)
+    const rightEye = this.createPart(eyeGeometry, eyeMaterial, 0xff0000)
     rightEye.position.set(0.1, 1.85, 0.2)
-    this.group.add(rightEye)
     
     // Arms (simple cylinders)
-    const armGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.8, 6)
-    const armMaterial = new THREE.MeshLambertMaterial({ color: 0x5a6b2a })
+    const armGeometry = resourceCache.getGeometry('zombie-arm', () => new THREE.CylinderGeometry(0.08, 0.08, 0.8, 6))
     
-    this.leftArm = new THREE.Mesh(armGeometry, armMaterial)
+    this.leftArm = this.createPart(armGeometry, material, this.colors.arms)
     this.leftArm.position.set(-0.4, 1.2, 0)
     this.leftArm.rotation.z = 0.5
-    this.leftArm.castShadow = true
-    this.group.add(this.leftArm)
     
-    this.rightArm = new THREE.Mesh(armGeometry, armMaterial)
+    this.rightArm = this.createPart(armGeometry, material, this.colors.arms)
     this.rightArm.position.set(0.4, 1.2, 0)
     this.rightArm.rotation.z = -0.5
-    this.rightArm.castShadow = true
-    this.group.add(this.rightArm)
     
     // Legs
-    const legGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.8, 6)
-    const legMaterial = new THREE.MeshLambertMaterial({ color: 0x3a4b1a })
+    const legGeometry = resourceCache.getGeometry('zombie-leg', () => new THREE.CylinderGeometry(0.1, 0.1, 0.8, 6))
     
-    this.leftLeg = new THREE.Mesh(legGeometry, legMaterial)
+    this.leftLeg = this.createPart(legGeometry, material, this.colors.legs)
     this.leftLeg.position.set(-0.15, 0.4, 0)
-    this.leftLeg.castShadow = true
-    this.group.add(this.leftLeg)
     
-    this.rightLeg = new THREE.Mesh(legGeometry, legMaterial)
+    this.rightLeg = this.createPart(legGeometry, material, this.colors.legs)
     this.rightLeg.position.set(0.15, 0.4, 0)
-    this.rightLeg.castShadow = true
-    this.group.add(this.rightLeg)
+    
+    // Tag meshes with the hit zone they represent
+    this.hitZoneMeshes = {
+      head: this.headMesh,
+      body: this.bodyMesh,
+      leftArm: this.leftArm,
+      rightArm: this.rightArm,
+      leftLeg: this.leftLeg,
+      rightLeg: this.rightLeg
+    }
+    Object.entries(this.hitZoneMeshes).forEach(([zone, mesh]) => {
+      mesh.userData.hitZone = zone
+    })
+    
+    // Archetypes differ in build; the whole model is scaled so hit zones scale with it
+    this.group.scale.copy(this.scale)
+    
+    // Remembered so pooled zombies can be put back together after a ragdoll death
+    this.restPose = this.renderParts.map(part => ({
+      part,
+      position: part.position.clone(),
+      rotation: part.rotation.clone()
+    }))
     
     // Position the group
     this.group.position.set(x, y, z)
@@ -93,13 +247,37 @@ export class Zombie {
     this.armSwing = 0
   }
 
+  /**
+   * Add a body part proxy to the group
+   * @param {THREE.BufferGeometry} geometry - Shared geometry
+   * @param {THREE.Material} material - Shared material the instances are drawn with
+   * @param {string|number} color - Part color, written per instance
+   * @returns {THREE.Mesh}
+   */
+  createPart(geometry, material, color) {
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.layers.set(ZOMBIE_PROXY_LAYER)
+    mesh.userData.color = new THREE.Color(color)
+    mesh.userData.instanced = true
+    this.group.add(mesh)
+    this.renderParts.push(mesh)
+    return mesh
+  }
+
   setupPhysics(x, y, z) {
-    // Create physics body
-    const shape = new CANNON.Cylinder(0.4, 0.4, 1.8, 8)
-    this.body = new CANNON.Body({ mass: 70 })
+    // Create physics body sized to the scaled model
+    const radius = 0.4 * Math.max(this.scale.x, this.scale.z)
+    this.halfHeight = 0.9 * this.scale.y
+    const shape = new CANNON.Cylinder(radius, radius, this.halfHeight * 2, 8)
+    this.body = new CANNON.Body({ mass: this.mass })
     this.body.addShape(shape)
-    this.body.position.set(x, y + 0.9, z)
-    this.body.material = new CANNON.Material('zombieMaterial')
+    this.radius = radius
+    
+    // Head sphere so shots above the shoulders still register
+    this.body.addShape(new CANNON.Sphere(0.25 * this.scale.x), new CANNON.Vec3(0, this.halfHeight, 0))
+    this.body.position.set(x, y + this.halfHeight, z)
+    Utils.resetBodyInterpolation(this.body)
+    this.collisionManager.registerBody(this.body, { group: 'ZOMBIE', material: 'zombie', entity: this })
     
     // Prevent zombie from falling over
     this.body.fixedRotation = true
@@ -112,19 +290,65 @@ export class Zombie {
     this.pathfindingTimer = 0
     this.pathfindingInterval = 100 // Update path every 100ms
     this.stuckTimer = 0
+    this.stuckDuration = 2000 // ms of barely moving before we count as stuck
+    this.stuckSpeedFraction = 0.2 // Moving slower than this fraction of our speed counts as barely moving
     this.lastPosition = new THREE.Vector3()
-    this.movementThreshold = 0.1
+    
+    // Navigation
+    this.navigationGrid = null
+    this.crowd = null
+    this.path = []
+    this.pathIndex = 0
+    this.pathGoal = new THREE.Vector3()
+    this.repathTimer = 0
+    this.repathInterval = 500 + Math.random() * 250 // Jittered so zombies don't all repath on the same frame
+    this.repathDistance = 3 // Repath when the target moves this far from the path goal
+    this.waypointRadius = 0.75
+    this.eyeHeight = 1.6 * this.scale.y
+    
+    // Unaware behaviour
+    this.wanderRadius = 8
+    this.wanderSpeedFactor = 0.35
+    this.investigateSpeedFactor = 0.7
   }
 
   setTarget(target) {
     this.target = target
   }
 
+  /**
+   * Give the zombie access to pathfinding
+   * @param {NavigationGrid} navigationGrid - Walkable grid built from the environment
+   */
+  setNavigation(navigationGrid) {
+    this.navigationGrid = navigationGrid
+  }
+
+  /**
+   * Let the zombie steer around its neighbours
+   * @param {CrowdSteering} crowd - Shared crowd steering
+   */
+  setCrowd(crowd) {
+    this.crowd = crowd
+  }
+
+  /**
+   * Scale zombie stats for the wave it was spawned in
+   * @param {object} wave - Wave settings from the WaveDirector
+   */
+  applyWaveScaling(wave) {
+    this.healthSystem.setMaxHealth(Math.round(this.healthSystem.getMaxHealth() * wave.healthMultiplier), true)
+    this.baseSpeed *= wave.speedMultiplier
+    this.speed = this.baseSpeed * this.speedFactor
+    this.attackDamage = Math.round(this.attackDamage * wave.damageMultiplier)
+  }
+
   update(deltaTime) {
-    if (this.health <= 0) {
-      this.state = 'dead'
-      return
-    }
+    if (this.isDead()) return
+
+    this.updateEffectTimers(deltaTime)
+    this.healthSystem.update(deltaTime)
+    if (this.isDead()) return
 
     this.updateAI(deltaTime)
     this.updateAnimation(deltaTime)
@@ -132,50 +356,233 @@ export class Zombie {
   }
 
   updateAI(deltaTime) {
-    if (!this.target) return
+    this.perception.update(deltaTime, this.target)
+    this.updateStuckTimer(deltaTime)
     
-    const targetPosition = this.target.getPosition()
-    const zombiePosition = this.group.position
-    const distance = zombiePosition.distanceTo(targetPosition)
+    this.repathTimer += deltaTime * 1000
     
-    // Update pathfinding
+    // Think every pathfindingInterval; the behavior tree decides what to do
     this.pathfindingTimer += deltaTime * 1000
     if (this.pathfindingTimer >= this.pathfindingInterval) {
+      this.behavior.update(this.pathfindingTimer / 1000)
       this.pathfindingTimer = 0
-      
-      if (distance > this.attackRange) {
-        this.state = 'chasing'
-        this.moveTowardsTarget(targetPosition)
-      } else {
-        this.state = 'attacking'
-        this.body.velocity.x = 0
-        this.body.velocity.z = 0
-      }
     }
-    
-    // Check if stuck
-    const currentPosition = new THREE.Vector3().copy(this.group.position)
-    if (currentPosition.distanceTo(this.lastPosition) < this.movementThreshold) {
+  }
+
+  updateStuckTimer(deltaTime) {
+    // Stuck means trying to move but covering only a fraction of the expected distance
+    const moved = this.getHorizontalDistance(this.lastPosition)
+    if (this.isMoving() && moved < this.speed * deltaTime * this.stuckSpeedFraction) {
       this.stuckTimer += deltaTime * 1000
-      if (this.stuckTimer > 2000) { // Stuck for 2 seconds
-        this.unstuck()
-        this.stuckTimer = 0
-      }
     } else {
       this.stuckTimer = 0
     }
-    this.lastPosition.copy(currentPosition)
+    this.lastPosition.copy(this.group.position)
+  }
+
+  isMoving() {
+    return this.state === 'chasing' ||
+           this.state === 'investigating' ||
+           this.state === 'wandering' ||
+           this.state === 'fleeing'
+  }
+
+  isStuck() {
+    return this.stuckTimer > this.stuckDuration
+  }
+
+  isInAttackRange() {
+    if (!this.target) return false
+    
+    const targetPosition = this.target.getPosition()
+    
+    // Ranged attackers also need a clear shot before they stop to attack
+    return this.group.position.distanceTo(targetPosition) <= this.attackRange &&
+           (!this.isRanged() || this.hasLineOfSight(targetPosition))
+  }
+
+  chase() {
+    this.state = 'chasing'
+    this.moveTowardsTarget(this.getSteeringTarget(this.target.getPosition()))
+  }
+
+  holdAttackPosition() {
+    this.state = 'attacking'
+    this.stopMoving()
+    this.separateFromCrowd()
+  }
+
+  // Shuffle out of neighbours' way while standing to attack, so attackers spread around the target
+  separateFromCrowd() {
+    if (!this.crowd) return
+    
+    const push = this.crowd.steer(this, new THREE.Vector3(), 0)
+    if (push.lengthSq() > 1) push.normalize()
+    
+    this.body.velocity.x = push.x * this.speed * 0.5
+    this.body.velocity.z = push.z * this.speed * 0.5
+  }
+
+  /**
+   * Walk towards a position, pathfinding around obstacles
+   * @param {THREE.Vector3} position - Destination
+   * @param {number} speedFactor - Fraction of full speed
+   * @param {string} state - State to report while walking
+   * @returns {boolean} True once the destination is reached
+   */
+  walkTo(position, speedFactor, state) {
+    if (this.getHorizontalDistance(position) <= this.waypointRadius * 2) {
+      return true
+    }
+    
+    this.state = state
+    this.moveTowardsTarget(this.getSteeringTarget(position), speedFactor)
+    return false
+  }
+
+  /**
+   * Run directly away from a position
+   * @param {THREE.Vector3} position - What to get away from
+   */
+  fleeFrom(position) {
+    const away = new THREE.Vector3().subVectors(this.group.position, position)
+    away.y = 0
+    if (away.lengthSq() < 0.0001) away.set(Math.random() - 0.5, 0, Math.random() - 0.5)
+    away.normalize()
+    
+    this.state = 'fleeing'
+    this.clearPath()
+    this.moveTowardsTarget(this.group.position.clone().addScaledVector(away, 5))
+  }
+
+  // Turn on the spot, sweeping the sight cone around
+  lookAround() {
+    this.state = 'idle'
+    this.stopMoving()
+    this.group.rotation.y += 0.15
+  }
+
+  idle() {
+    this.state = 'idle'
+    this.stopMoving()
+  }
+
+  /**
+   * Speed up and attack faster, tinted red; only happens once
+   */
+  enrage() {
+    if (this.enraged) return
+    
+    this.enraged = true
+    this.baseSpeed *= 1.5
+    this.speed = this.baseSpeed * this.speedFactor
+    this.attackCooldown *= 0.7
+    this.colors = { ...this.colors, body: '#8b1a1a' }
+    this.bodyMesh.userData.color.set(this.colors.body)
+  }
+
+  pickWanderTarget() {
+    const angle = Math.random() * Math.PI * 2
+    const distance = this.wanderRadius * (0.3 + Math.random() * 0.7)
+    const x = this.group.position.x + Math.cos(angle) * distance
+    const z = this.group.position.z + Math.sin(angle) * distance
+    
+    if (!this.navigationGrid) {
+      return new THREE.Vector3(x, 0, z)
+    }
+    return this.navigationGrid.getNearestWalkablePosition(x, z)
+  }
+
+  stopMoving() {
+    this.body.velocity.x = 0
+    this.body.velocity.z = 0
+  }
+
+  /**
+   * Decide where to steer: straight at the target when it is visible, otherwise along a path
+   * @param {THREE.Vector3} targetPosition - Position of the chase target
+   * @returns {THREE.Vector3} Position to move towards this tick
+   */
+  getSteeringTarget(targetPosition) {
+    if (!this.navigationGrid || this.canSeeTarget(targetPosition)) {
+      this.clearPath()
+      return targetPosition
+    }
+    
+    const needsPath = this.pathIndex >= this.path.length ||
+                      this.pathGoal.distanceTo(targetPosition) > this.repathDistance
+    
+    if (needsPath && this.repathTimer >= this.repathInterval) {
+      this.repathTimer = 0
+      this.path = this.navigationGrid.findPath(this.group.position, targetPosition) || []
+      this.pathIndex = 0
+      this.pathGoal.copy(targetPosition)
+    }
+    
+    // Advance past waypoints we've already reached
+    while (this.pathIndex < this.path.length &&
+           this.getHorizontalDistance(this.path[this.pathIndex]) < this.waypointRadius) {
+      this.pathIndex++
+    }
+    
+    if (this.pathIndex < this.path.length) {
+      return this.path[this.pathIndex]
+    }
+    
+    // No usable path yet, keep pushing towards the target
+    return targetPosition
+  }
+
+  canSeeTarget(targetPosition) {
+    // The walkable check keeps our width from clipping corners
+    return this.hasLineOfSight(targetPosition) &&
+           this.navigationGrid.hasClearPath(this.group.position, targetPosition)
   }
 
-  moveTowardsTarget(targetPosition) {
+  hasLineOfSight(targetPosition) {
+    if (!this.collisionManager) return true
+    
+    const eyePosition = this.group.position.clone()
+    eyePosition.y += this.eyeHeight
+    
+    // The player body sits at eye level, so aim at the same height above its feet
+    const targetEye = targetPosition.clone()
+    targetEye.y = Math.max(targetEye.y, this.group.position.y + this.eyeHeight)
+    
+    // Only static geometry blocks sight
+    return this.collisionManager.hasLineOfSight(eyePosition, targetEye, { staticOnly: true })
+  }
+
+  clearPath() {
+    this.path = []
+    this.pathIndex = 0
+  }
+
+  getHorizontalDistance(position) {
+    const dx = position.x - this.group.position.x
+    const dz = position.z - this.group.position.z
+    return Math.sqrt(dx * dx + dz * dz)
+  }
+
+  /**
+   * @param {THREE.Vector3} targetPosition - Position to walk towards
+   * @param {number} speedFactor - Fraction of full speed, lower when not chasing
+   */
+  moveTowardsTarget(targetPosition, speedFactor = 1) {
     const direction = new THREE.Vector3()
     direction.subVectors(targetPosition, this.group.position)
     direction.y = 0 // Only move horizontally
     direction.normalize()
     
+    // Blend in local avoidance so hordes don't pile onto the same point
+    if (this.crowd) {
+      this.crowd.steer(this, direction)
+    }
+    
     // Apply movement
-    this.body.velocity.x = direction.x * this.speed
-    this.body.velocity.z = direction.z * this.speed
+    const speed = this.speed * speedFactor * this.healthSystem.getSpeedMultiplier()
+    this.body.velocity.x = direction.x * speed
+    this.body.velocity.z = direction.z * speed
     
     // Debug: Log movement
     if (Math.random() < 0.01) { // Log occasionally to avoid spam
@@ -192,6 +599,8 @@ export class Zombie {
   }
 
   unstuck() {
+    this.stuckTimer = 0
+    
     // Add random movement to get unstuck
     const randomDirection = new THREE.Vector3(
       (Math.random() - 0.5) * 2,
@@ -202,13 +611,17 @@ export class Zombie {
     
     this.body.velocity.x = randomDirection.x * this.speed * 1.5
     this.body.velocity.z = randomDirection.z * this.speed * 1.5
+    
+    // Whatever path we had led us here, so plan a new one
+    this.clearPath()
+    this.repathTimer = this.repathInterval
   }
 
   updateAnimation(deltaTime) {
     this.walkCycle += deltaTime * 5
     this.armSwing += deltaTime * 8
     
-    if (this.state === 'chasing') {
+    if (this.isMoving()) {
       // Walking animation
       this.leftLeg.rotation.x = Math.sin(this.walkCycle) * 0.5
       this.rightLeg.rotation.x = Math.sin(this.walkCycle + Math.PI) * 0.5
@@ -228,43 +641,187 @@ export class Zombie {
   updatePhysics() {
     // Sync visual position with physics
     this.group.position.copy(this.body.position)
-    this.group.position.y -= 0.9 // Adjust for body center offset
+    this.group.position.y -= this.halfHeight // Adjust for body center offset
   }
 
-  takeDamage(amount) {
-    this.health -= amount
-    this.health = Math.max(0, this.health)
+  /**
+   * Place the zombie between the last two physics steps for drawing
+   * @param {number} alpha - 0 for the previous step, 1 for the latest
+   */
+  interpolate(alpha) {
+    if (this.isDead()) return
+    
+    Utils.interpolateBody(this.body, alpha, this.group.position)
+    this.group.position.y -= this.halfHeight
+  }
+
+  /**
+   * Apply damage to the zombie; bullet hits are scaled by the hit zone they land in
+   * @param {object} damage - Damage descriptor: amount, type, source, hitPoint and optional hitDirection
+   * @returns {{zone: string, damage: number, killed: boolean}} damage is the health actually removed
+   */
+  takeDamage(damage) {
+    damage = HealthSystem.normalizeDamage(damage)
+    
+    let zone = 'body'
+    if (damage.hitPoint && damage.type === DAMAGE_TYPES.BULLET) {
+      zone = this.getHitZone(damage.hitPoint, damage.hitDirection)
+    }
+    
+    // Remembered so the killing shot can knock the ragdoll
+    this.lastHitZone = zone
+    this.lastHitPoint = damage.hitPoint ? damage.hitPoint.clone() : null
+    this.lastHitDirection = damage.hitDirection ? damage.hitDirection.clone() : null
+    
+    // Getting hurt gives away where the attacker is
+    if (damage.source && damage.source.getPosition) {
+      this.perception.remember(damage.source.getPosition())
+    }
+    
+    const amount = damage.amount * HIT_ZONES[zone].damageMultiplier
+    this.lastHitAmount = amount
+    this.applyLimbDamage(zone, amount)
     
     // Visual feedback for taking damage
     this.flashDamage()
     
-    if (this.health <= 0) {
-      this.die()
+    // Death is handled by the health system's onDeath callback
+    const wasDead = this.isDead()
+    const healthBefore = this.healthSystem.getHealth()
+    const headshotKill = zone === 'head' && this.headshotInstantKill
+    this.healthSystem.takeDamage({
+      ...damage,
+      amount: headshotKill ? healthBefore : amount
+    })
+    
+    return {
+      zone,
+      damage: healthBefore - this.healthSystem.getHealth(),
+      killed: !wasDead && this.isDead()
+    }
+  }
+
+  /**
+   * Work out which body part a hit landed on
+   * @param {THREE.Vector3} hitPoint - World position of the hit
+   * @param {THREE.Vector3} hitDirection - Optional normalized shot direction for an exact mesh test
+   * @returns {string} Hit zone name
+   */
+  getHitZone(hitPoint, hitDirection = null) {
+    const meshes = Object.values(this.hitZoneMeshes).filter(mesh => mesh.visible)
+    this.group.updateMatrixWorld(true)
+    
+    // The physics hull is coarser than the meshes, so trace the shot through them
+    if (hitDirection) {
+      const origin = hitPoint.clone().addScaledVector(hitDirection, -1)
+      hitZoneRaycaster.set(origin, hitDirection)
+      hitZoneRaycaster.far = 2
+      
+      const intersections = hitZoneRaycaster.intersectObjects(meshes, false)
+      if (intersections.length > 0) {
+        return intersections[0].object.userData.hitZone
+      }
+    }
+    
+    // Otherwise pick the body part closest to the hit point
+    let closestZone = 'body'
+    let closestDistance = Infinity
+    meshes.forEach(mesh => {
+      const distance = hitZoneBox.setFromObject(mesh).distanceToPoint(hitPoint)
+      if (distance < closestDistance) {
+        closestDistance = distance
+        closestZone = mesh.userData.hitZone
+      }
+    })
+    
+    return closestZone
+  }
+
+  applyLimbDamage(zone, damage) {
+    if (zone === 'leftLeg' || zone === 'rightLeg') {
+      this.speedFactor = Math.max(this.minSpeedFactor, this.speedFactor - this.legHitSlow)
+      this.speed = this.baseSpeed * this.speedFactor
+    }
+    
+    if (this.limbHealth[zone] === undefined || this.lostLimbs.has(zone)) return
+    
+    this.limbHealth[zone] -= damage
+    if (this.limbHealth[zone] <= 0) {
+      this.loseLimb(zone)
+    }
+  }
+
+  loseLimb(zone) {
+    this.lostLimbs.add(zone)
+    
+    if (zone === 'leftArm' || zone === 'rightArm') {
+      // Arm is blown off
+      this.hitZoneMeshes[zone].visible = false
+    } else {
+      // Crippled leg halves whatever speed is left
+      this.speedFactor = Math.max(this.minSpeedFactor, this.speedFactor * 0.5)
+      this.speed = this.baseSpeed * this.speedFactor
     }
   }
 
+  hasArms() {
+    return !(this.lostLimbs.has('leftArm') && this.lostLimbs.has('rightArm'))
+  }
+
   flashDamage() {
     // Flash red briefly
-    const originalColor = this.bodyMesh.material.color.getHex()
-    this.bodyMesh.material.color.setHex(0xff0000)
-    this.headMesh.material.color.setHex(0xff0000)
+    this.bodyMesh.userData.color.setHex(0xff0000)
+    this.headMesh.userData.color.setHex(0xff0000)
+    this.damageFlashTimer = 100
+  }
+
+  endDamageFlash() {
+    this.damageFlashTimer = 0
+    this.bodyMesh.userData.color.set(this.colors.body)
+    this.headMesh.userData.color.set(this.colors.head)
+  }
+
+  // The hit flash and attack pose count down in simulated time, so they pause with the game and die with the zombie
+  updateEffectTimers(deltaTime) {
+    const elapsed = deltaTime * 1000
+    
+    if (this.damageFlashTimer > 0) {
+      this.damageFlashTimer -= elapsed
+      if (this.damageFlashTimer <= 0) this.endDamageFlash()
+    }
     
-    setTimeout(() => {
-      this.bodyMesh.material.color.setHex(originalColor)
-      this.headMesh.material.color.setHex(0x6b7c32)
-    }, 100)
+    if (this.attackPoseTimer > 0) {
+      this.attackPoseTimer -= elapsed
+      if (this.attackPoseTimer <= 0) {
+        this.leftArm.rotation.x = 0
+        this.rightArm.rotation.x = 0
+      }
+    }
   }
 
   die() {
+    // Let running behaviors clean up before we stop thinking
+    this.behavior.stop()
     this.state = 'dead'
     
-    // Death animation - fall over
-    this.group.rotation.z = Math.PI / 2
+    // Dead zombies stop updating, so don't leave the corpse red
+    if (this.damageFlashTimer > 0) this.endDamageFlash()
     
-    // Stop physics
-    this.body.velocity.set(0, 0, 0)
-    this.body.mass = 0
-    this.body.updateMassProperties()
+    // Swap the upright capsule for a ragdoll of the body parts, knocked by the killing shot
+    this.world.removeBody(this.body)
+    this.ragdoll = new Ragdoll(this.scene, this.world, this)
+    if (this.lastHitDirection) {
+      this.ragdoll.applyImpulse(
+        this.lastHitZone,
+        this.lastHitPoint,
+        this.lastHitDirection,
+        this.lastHitAmount * RAGDOLL.impulsePerDamage
+      )
+    }
+    
+    if (this.onDeath) {
+      this.onDeath(this, this.lastHitZone)
+    }
   }
 
   isNearPlayer(playerPosition, range) {
@@ -272,48 +829,110 @@ export class Zombie {
     return distance <= range
   }
 
+  isRanged() {
+    return this.attackType === 'ranged'
+  }
+
   canAttack() {
-    const currentTime = Date.now()
+    const currentTime = simulationClock.now()
     return this.state === 'attacking' && 
+           (this.isRanged() || this.hasArms()) &&
            (currentTime - this.lastAttackTime) >= this.attackCooldown
   }
 
+  /**
+   * Spit a projectile at the target, lobbed to make up for gravity
+   * @param {THREE.Vector3} targetPosition - Position to aim at
+   * @param {BulletPool} bulletPool - Pool to take the projectile from
+   * @returns {Bullet} The projectile, owned by the caller from here on
+   */
+  fireProjectile(targetPosition, bulletPool) {
+    const { speed, radius, color } = this.projectile
+    
+    // Face the target and launch from just in front of the mouth so we don't hit ourselves
+    const forward = new THREE.Vector3(
+      targetPosition.x - this.group.position.x,
+      0,
+      targetPosition.z - this.group.position.z
+    ).normalize()
+    this.group.rotation.y = Math.atan2(forward.x, forward.z)
+    
+    const origin = this.group.position.clone()
+    origin.y += this.eyeHeight
+    origin.addScaledVector(forward, this.radius + radius + 0.2)
+    
+    // Raise the aim point by the drop over the flight time
+    const aimPoint = targetPosition.clone()
+    const flightTime = Math.hypot(aimPoint.x - origin.x, aimPoint.z - origin.z) / speed
+    aimPoint.y -= 0.5 * this.world.gravity.y * flightTime * flightTime
+    
+    const direction = aimPoint.sub(origin).normalize()
+    
+    return bulletPool.spawn(origin, direction, {
+      damage: this.attackDamage,
+      damageType: this.attackDamageType,
+      speed,
+      radius,
+      color,
+      source: this
+    })
+  }
+
   attack() {
-    this.lastAttackTime = Date.now()
+    if (!this.isRanged() && !this.hasArms()) return
+    
+    this.lastAttackTime = simulationClock.now()
     
     // Visual attack effect
     this.leftArm.rotation.x = -1.5
     this.rightArm.rotation.x = -1.5
-    
-    setTimeout(() => {
-      this.leftArm.rotation.x = 0
-      this.rightArm.rotation.x = 0
-    }, 200)
+    this.attackPoseTimer = 200
   }
 
   isDead() {
     return this.state === 'dead'
   }
 
+  getHealthSystem() {
+    return this.healthSystem
+  }
+
+  getPerception() {
+    return this.perception
+  }
+
+  getBehavior() {
+    return this.behavior
+  }
+
+  getRagdoll() {
+    return this.ragdoll
+  }
+
+  getHealthFraction() {
+    return this.healthSystem.getHealth() / this.healthSystem.getMaxHealth()
+  }
+
   getMesh() {
     return this.group
   }
 
+  getRenderParts() {
+    return this.renderParts
+  }
+
   removeFromScene() {
+    if (this.ragdoll) {
+      this.ragdoll.removeFromScene()
+      this.ragdoll = null
+    }
+    
     // Remove from scene
     this.scene.remove(this.group)
     
     // Remove from physics world
     this.world.removeBody(this.body)
     
-    // Dispose of resources
-    this.group.traverse((child) => {
-      if (child.geometry) {
-        child.geometry.dispose()
-      }
-      if (child.material) {
-        child.material.dispose()
-      }
-    })
+    // Geometry and materials are shared, so there is nothing to dispose; the zombie can be respawned
   }
 }
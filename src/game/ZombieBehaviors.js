@@ -0,0 +1,184 @@
+import {
+  BehaviorTree,
+  STATUS,
+  Selector,
+  Sequence,
+  Condition,
+  Action,
+  Cooldown
+} from './BehaviorTree.js'
+
+// Reusable branches; each call builds fresh nodes because nodes hold per-zombie state
+
+const unstick = () => new Sequence('Unstick', [
+  new Condition('Stuck', zombie => zombie.isStuck()),
+  new Action('Unstuck', {
+    enter: (zombie, blackboard, tree) => {
+      zombie.unstuck()
+      blackboard.set('unstuckUntil', tree.time + 500)
+    },
+    tick: (zombie, blackboard, tree) => tree.time >= blackboard.get('unstuckUntil') ? STATUS.SUCCESS : STATUS.RUNNING
+  })
+], { memory: true })
+
+const engage = () => new Sequence('Engage', [
+  new Condition('Target visible', zombie => zombie.getPerception().isTargetVisible()),
+  new Selector('Attack or chase', [
+    new Sequence('Attack', [
+      new Condition('In attack range', zombie => zombie.isInAttackRange()),
+      new Action('Attack', zombie => {
+        zombie.holdAttackPosition()
+        return STATUS.RUNNING
+      })
+    ]),
+    new Action('Chase', zombie => {
+      zombie.chase()
+      return STATUS.RUNNING
+    })
+  ])
+])
+
+const search = () => new Sequence('Search', [
+  new Condition('Target lost', zombie => !zombie.getPerception().isTargetVisible()),
+  new Condition('Has lead', zombie => zombie.getPerception().getLastKnownPosition() !== null),
+  new Selector('Investigate', [
+    new Action('Go to last known position', zombie => {
+      const position = zombie.getPerception().getLastKnownPosition()
+      return zombie.walkTo(position, zombie.investigateSpeedFactor, 'investigating') ? STATUS.FAILURE : STATUS.RUNNING
+    }),
+    new Action('Look around', zombie => {
+      zombie.lookAround()
+      return STATUS.RUNNING
+    })
+  ])
+])
+
+const wander = () => new Sequence('Wander', [
+  new Action('Idle', {
+    enter: (zombie, blackboard, tree) => {
+      zombie.idle()
+      blackboard.set('idleUntil', tree.time + 2000 + Math.random() * 4000)
+    },
+    tick: (zombie, blackboard, tree) => tree.time >= blackboard.get('idleUntil') ? STATUS.SUCCESS : STATUS.RUNNING
+  }),
+  new Action('Pick wander spot', (zombie, blackboard) => {
+    const spot = zombie.pickWanderTarget()
+    if (!spot) return STATUS.FAILURE
+    blackboard.set('wanderTarget', spot)
+  }),
+  new Action('Wander', (zombie, blackboard) => {
+    const spot = blackboard.get('wanderTarget')
+    return zombie.walkTo(spot, zombie.wanderSpeedFactor, 'wandering') ? STATUS.SUCCESS : STATUS.RUNNING
+  })
+], { memory: true })
+
+// Low health checks read their threshold from the blackboard so archetypes can tune them
+const lowHealth = key => new Condition('Low health', (zombie, blackboard) => {
+  return zombie.getHealthFraction() <= blackboard.get(key)
+})
+
+/**
+ * Behavior tree builders by name; an archetype picks one with "behavior": { "tree": name }
+ * Every builder gets the archetype's behavior settings and returns the root node
+ */
+export const ZOMBIE_BEHAVIORS = {
+  // Chase and hit whatever it sees, search where it last saw or heard something, wander otherwise
+  melee: () => new Selector('Melee', [
+    unstick(),
+    engage(),
+    search(),
+    wander()
+  ]),
+
+  // Runs away for a while when badly hurt, then comes back
+  skittish: (settings) => new Selector('Skittish', [
+    new Cooldown('Flee cooldown', settings.fleeCooldown ?? 10000, new Sequence('Flee', [
+      lowHealth('fleeBelow'),
+      new Condition('Target visible', zombie => zombie.getPerception().isTargetVisible()),
+      new Action('Flee', {
+        enter: (zombie, blackboard, tree) => {
+          blackboard.set('fleeUntil', tree.time + blackboard.get('fleeDuration', 2500))
+        },
+        tick: (zombie, blackboard, tree) => {
+          zombie.fleeFrom(zombie.target.getPosition())
+          return tree.time >= blackboard.get('fleeUntil') ? STATUS.SUCCESS : STATUS.RUNNING
+        }
+      })
+    ], { memory: true })),
+    unstick(),
+    engage(),
+    search(),
+    wander()
+  ]),
+
+  // Goes berserk once when badly hurt
+  berserker: () => new Selector('Berserker', [
+    new Sequence('Enrage', [
+      lowHealth('enrageBelow'),
+      new Condition('Not enraged', zombie => !zombie.enraged),
+      new Action('Enrage', zombie => zombie.enrage())
+    ]),
+    unstick(),
+    engage(),
+    search(),
+    wander()
+  ]),
+
+  // Backs off to keep its distance, then spits from range
+  ranged: () => new Selector('Ranged', [
+    unstick(),
+    new Sequence('Keep distance', [
+      new Condition('Target visible', zombie => zombie.getPerception().isTargetVisible()),
+      new Condition('Target too close', (zombie, blackboard) => {
+        return zombie.getHorizontalDistance(zombie.target.getPosition()) < blackboard.get('minRange', 6)
+      }),
+      new Action('Back off', zombie => {
+        zombie.fleeFrom(zombie.target.getPosition())
+        return STATUS.RUNNING
+      })
+    ]),
+    engage(),
+    search(),
+    wander()
+  ]),
+
+  // Uses phase abilities whenever one is ready, otherwise fights like a melee zombie
+  boss: () => new Selector('Boss', [
+    new Sequence('Use ability', [
+      new Condition('Ability ready', (boss, blackboard) => {
+        if (boss.activeAbility) return true
+        blackboard.set('ability', boss.chooseAbility())
+        return blackboard.get('ability') !== null
+      }),
+      new Action('Ability', {
+        enter: (boss, blackboard) => {
+          if (!boss.activeAbility) boss.startAbility(blackboard.get('ability'))
+        },
+        tick: (boss, blackboard, tree) => boss.updateActiveAbility(tree.deltaTime) ? STATUS.SUCCESS : STATUS.RUNNING,
+        exit: (boss, blackboard, tree, status) => {
+          if (status === null) boss.endAbility()
+        }
+      })
+    ]),
+    unstick(),
+    engage(),
+    search(),
+    wander()
+  ])
+}
+
+/**
+ * Build the behavior tree for a zombie
+ * @param {Zombie} zombie - Zombie the tree will control
+ * @param {object} behavior - Archetype behavior settings: tree name plus values copied to the blackboard
+ * @returns {BehaviorTree}
+ */
+export function createBehaviorTree(zombie, behavior = {}) {
+  const { tree: treeName = 'melee', ...settings } = behavior
+  const builder = ZOMBIE_BEHAVIORS[treeName]
+  if (!builder) {
+    throw new Error(`Unknown zombie behavior: ${treeName}`)
+  }
+
+  return new BehaviorTree(builder(settings), zombie, settings)
+}
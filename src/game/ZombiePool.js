@@ -0,0 +1,70 @@
+import { Zombie } from './Zombie.js'
+import { Utils } from '../utils/Utils.js'
+
+/**
+ * ZombiePool class for reusing zombies between waves
+ * Keeps one pool per archetype so a respawned zombie already has the right build;
+ * bosses are one-offs and are simply removed
+ */
+export class ZombiePool {
+  /**
+   * @param {THREE.Scene} scene - Scene zombies are added to
+   * @param {CANNON.World} world - Physics world zombies are added to
+   * @param {CollisionManager} collisionManager - Registers zombie bodies
+   */
+  constructor(scene, world, collisionManager) {
+    this.scene = scene
+    this.world = world
+    this.collisionManager = collisionManager
+    this.pools = new Map() // type id -> object pool
+  }
+
+  /**
+   * Take a zombie of the given type and bring it to life at a position
+   * @param {object} definition - Zombie type from the ZombieRegistry
+   * @param {number} x - Spawn position
+   * @param {number} y - Ground height at the spawn position
+   * @param {number} z - Spawn position
+   * @returns {Zombie}
+   */
+  acquire(definition, x, y, z) {
+    const zombie = this.getPool(definition).get()
+    zombie.respawn(x, y, z)
+    return zombie
+  }
+
+  // Hand a zombie back once its corpse is gone, or when the game restarts
+  release(zombie) {
+    if (zombie.isBoss || !this.pools.has(zombie.type)) {
+      zombie.removeFromScene()
+      return
+    }
+
+    this.pools.get(zombie.type).release(zombie)
+  }
+
+  getPool(definition) {
+    let pool = this.pools.get(definition.id)
+    if (!pool) {
+      pool = Utils.createObjectPool(
+        () => new Zombie(this.scene, this.world, this.collisionManager, 0, 0, 0, definition),
+        zombie => zombie.removeFromScene(),
+        0
+      )
+      this.pools.set(definition.id, pool)
+    }
+    return pool
+  }
+
+  // Getters
+  getStats() {
+    const stats = { active: 0, free: 0, created: 0 }
+    this.pools.forEach(pool => {
+      const poolStats = pool.getStats()
+      stats.active += poolStats.active
+      stats.free += poolStats.free
+      stats.created += poolStats.created
+    })
+    return stats
+  }
+}
@@ -0,0 +1,66 @@
+import zombieData from '../data/zombies.json'
+
+/**
+ * ZombieRegistry class for the zombie archetypes
+ * Looks up type definitions and picks spawn types by weight
+ */
+export class ZombieRegistry {
+  /**
+   * @param {object} data - Zombie data with a default type id and type definitions
+   */
+  constructor(data = zombieData) {
+    this.types = new Map(
+      Object.entries(data.types).map(([id, definition]) => [id, { id, ...definition }])
+    )
+    this.defaultTypeId = data.defaultType
+  }
+
+  get(id) {
+    const definition = this.types.get(id)
+    if (!definition) {
+      throw new Error(`Unknown zombie type: ${id}`)
+    }
+    return definition
+  }
+
+  getDefault() {
+    return this.get(this.defaultTypeId)
+  }
+
+  /**
+   * Pick a random zombie type from the ones unlocked by the given wave
+   * @param {number} waveNumber - Current wave; types with a higher minWave are skipped
+   * @param {object} weights - Optional per-type weights overriding each type's spawnWeight
+   * @returns {object} Zombie type definition
+   */
+  chooseType(waveNumber = 1, weights = null) {
+    const candidates = []
+    let totalWeight = 0
+    
+    this.types.forEach(definition => {
+      if (waveNumber < (definition.minWave ?? 1)) return
+      
+      const weight = weights?.[definition.id] ?? definition.spawnWeight ?? 0
+      if (weight > 0) {
+        candidates.push({ definition, weight })
+        totalWeight += weight
+      }
+    })
+    
+    if (totalWeight <= 0) {
+      return this.getDefault()
+    }
+    
+    let roll = Math.random() * totalWeight
+    for (const candidate of candidates) {
+      roll -= candidate.weight
+      if (roll < 0) return candidate.definition
+    }
+    
+    return candidates[candidates.length - 1].definition
+  }
+
+  getTypes() {
+    return [...this.types.values()]
+  }
+}
@@ -0,0 +1,64 @@
+import { InstancedBatch } from '../utils/InstancedBatch.js'
+
+// Zombie part meshes live on this layer: the camera never draws them, but hit zone raycasts can still find them
+export const ZOMBIE_PROXY_LAYER = 1
+
+/**
+ * ZombieRenderer class for drawing every zombie with a handful of draw calls
+ * Each zombie keeps invisible proxy meshes for its body parts; every frame their world transforms
+ * and colors are copied into one instanced mesh per part geometry
+ */
+export class ZombieRenderer {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the instanced meshes to
+   */
+  constructor(scene) {
+    this.scene = scene
+    this.batches = new Map() // geometry/material pair -> InstancedBatch
+  }
+
+  /**
+   * Rewrite all instances
+   * @param {Zombie[]} zombies - Living zombies
+   * @param {Zombie[]} corpses - Dead zombies whose ragdolls are still around
+   */
+  update(zombies, corpses = []) {
+    this.batches.forEach(batch => batch.begin())
+
+    zombies.forEach(zombie => this.addZombie(zombie))
+    corpses.forEach(zombie => this.addZombie(zombie))
+
+    this.batches.forEach(batch => batch.end())
+  }
+
+  addZombie(zombie) {
+    zombie.getMesh().updateMatrixWorld()
+
+    zombie.getRenderParts().forEach(part => {
+      // Blown-off limbs are hidden; fading corpse parts draw themselves
+      if (!part.visible || !part.userData.instanced) return
+      this.getBatch(part).add(part.matrixWorld, part.userData.color)
+    })
+  }
+
+  getBatch(part) {
+    const key = `${part.geometry.uuid}:${part.material.uuid}`
+    let batch = this.batches.get(key)
+    if (!batch) {
+      batch = new InstancedBatch(this.scene, part.geometry, part.material, {
+        capacity: 256,
+        castShadow: true,
+        dynamic: true
+      })
+      this.batches.set(key, batch)
+    }
+    return batch
+  }
+
+  // Getters
+  getStats() {
+    let instances = 0
+    this.batches.forEach(batch => { instances += batch.getCount() })
+    return { drawCalls: this.batches.size, instances }
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * EventBus class for publish/subscribe between game systems
+ * When created with a list of event types, subscribing to or emitting anything else throws,
+ * so a typo in an event name fails loudly instead of silently never firing
+ */
+export class EventBus {
+  /**
+   * @param {string[]} eventTypes - Allowed event types; leave out to allow any
+   */
+  constructor(eventTypes = null) {
+    this.eventTypes = eventTypes ? new Set(eventTypes) : null
+    this.handlers = new Map() // type -> handler functions
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, handler) {
+    this.checkType(type)
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, [])
+    }
+    this.handlers.get(type).push(handler)
+
+    return () => this.off(type, handler)
+  }
+
+  /**
+   * Subscribe to the next time an event fires only
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Call to unsubscribe before it fires
+   */
+  once(type, handler) {
+    const unsubscribe = this.on(type, (payload) => {
+      unsubscribe()
+      handler(payload)
+    })
+    return unsubscribe
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type)
+    if (!handlers) return
+
+    const index = handlers.indexOf(handler)
+    if (index > -1) {
+      handlers.splice(index, 1)
+    }
+  }
+
+  /**
+   * Publish an event to every subscriber
+   * @param {string} type - Event type
+   * @param {object} payload - Event data passed to each handler
+   */
+  emit(type, payload = {}) {
+    this.checkType(type)
+
+    const handlers = this.handlers.get(type)
+    if (!handlers) return
+
+    // Copy so handlers can unsubscribe while the event is being delivered
+    handlers.slice().forEach(handler => handler(payload))
+  }
+
+  clear() {
+    this.handlers.clear()
+  }
+
+  checkType(type) {
+    if (this.eventTypes && !this.eventTypes.has(type)) {
+      throw new Error(`Unknown event type: ${type}`)
+    }
+  }
+
+  // Getters
+  getListenerCount(type) {
+    const handlers = this.handlers.get(type)
+    return handlers ? handlers.length : 0
+  }
+}
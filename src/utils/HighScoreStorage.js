@@ -0,0 +1,213 @@
+const STORAGE_KEY = 'ratnatalks.scores'
+const FORMAT_VERSION = 1
+const MAX_NAME_LENGTH = 20
+
+/**
+ * HighScoreStorage utility for persisting runs in localStorage
+ * Keeps a top-N high score table and the most recent runs, with JSON export/import
+ */
+export class HighScoreStorage {
+  /**
+   * @param {object} options - maxHighScores, maxRecentRuns and storage (defaults to localStorage)
+   */
+  constructor(options = {}) {
+    this.maxHighScores = options.maxHighScores ?? 10
+    this.maxRecentRuns = options.maxRecentRuns ?? 5
+    this.storage = options.storage ?? this.getDefaultStorage()
+
+    this.highScores = []
+    this.recentRuns = []
+    this.lastPlayerName = 'Player'
+
+    this.load()
+  }
+
+  getDefaultStorage() {
+    try {
+      return window.localStorage
+    } catch (error) {
+      // Storage can be blocked (e.g. privacy settings); scores then only last for the session
+      console.warn('localStorage unavailable, scores will not persist', error)
+      return null
+    }
+  }
+
+  load() {
+    if (!this.storage) return
+
+    try {
+      const raw = this.storage.getItem(STORAGE_KEY)
+      if (!raw) return
+
+      const data = JSON.parse(raw)
+      this.highScores = this.sanitizeEntries(data.highScores)
+      this.recentRuns = this.sanitizeEntries(data.recentRuns)
+      this.lastPlayerName = this.sanitizeName(data.lastPlayerName)
+    } catch (error) {
+      console.error('Failed to load high scores:', error)
+    }
+  }
+
+  save() {
+    if (!this.storage) return
+
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({
+        version: FORMAT_VERSION,
+        highScores: this.highScores,
+        recentRuns: this.recentRuns,
+        lastPlayerName: this.lastPlayerName
+      }))
+    } catch (error) {
+      console.error('Failed to save high scores:', error)
+    }
+  }
+
+  /**
+   * Record a finished run
+   * @param {object} summary - Run summary from GameStats.getSummary()
+   * @param {string} name - Player name
+   * @param {string} mode - Game mode
+   * @returns {{entry: object, rank: number|null}} rank is 1-based, or null if it missed the table
+   */
+  addRun(summary, name, mode) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: this.sanitizeName(name),
+      date: new Date().toISOString(),
+      mode,
+      score: summary.score,
+      waveReached: summary.waveReached,
+      accuracy: summary.accuracy,
+      kills: summary.kills,
+      headshots: summary.headshots,
+      timeSurvived: summary.timeSurvived
+    }
+
+    this.lastPlayerName = entry.name
+    this.recentRuns = [entry, ...this.recentRuns].slice(0, this.maxRecentRuns)
+    this.highScores = this.sortAndTrim([...this.highScores, entry])
+    this.save()
+
+    const index = this.highScores.indexOf(entry)
+    return { entry, rank: index >= 0 ? index + 1 : null }
+  }
+
+  /**
+   * Change the name on a saved run
+   * @param {string} id - Run id
+   * @param {string} name - New player name
+   */
+  renameRun(id, name) {
+    const sanitized = this.sanitizeName(name)
+
+    this.highScores.concat(this.recentRuns).forEach(entry => {
+      if (entry.id === id) entry.name = sanitized
+    })
+    this.lastPlayerName = sanitized
+    this.save()
+  }
+
+  /**
+   * Download the tables as a JSON file
+   */
+  exportToFile() {
+    const data = JSON.stringify({
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      highScores: this.highScores,
+      recentRuns: this.recentRuns
+    }, null, 2)
+
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `ratnatalks-scores-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Merge high scores from an exported JSON file into the local table
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<number>} Number of entries that were new
+   */
+  async importFromFile(file) {
+    const text = await file.text()
+
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      throw new Error('File is not valid JSON')
+    }
+
+    if (!data || (!Array.isArray(data.highScores) && !Array.isArray(data.recentRuns))) {
+      throw new Error('File does not contain a high score table')
+    }
+
+    const knownIds = new Set(this.highScores.map(entry => entry.id))
+    const imported = this.sanitizeEntries(data.highScores)
+      .concat(this.sanitizeEntries(data.recentRuns))
+      .filter(entry => {
+        if (knownIds.has(entry.id)) return false
+        knownIds.add(entry.id)
+        return true
+      })
+
+    this.highScores = this.sortAndTrim([...this.highScores, ...imported])
+    this.save()
+
+    return imported.length
+  }
+
+  clear() {
+    this.highScores = []
+    this.recentRuns = []
+    this.save()
+  }
+
+  sortAndTrim(entries) {
+    return entries
+      .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+      .slice(0, this.maxHighScores)
+  }
+
+  // Drop anything that doesn't look like a run, so hand-edited or foreign files can't break the table
+  sanitizeEntries(entries) {
+    if (!Array.isArray(entries)) return []
+
+    return entries
+      .filter(entry => entry && typeof entry.id === 'string' && Number.isFinite(entry.score))
+      .map(entry => ({
+        id: entry.id,
+        name: this.sanitizeName(entry.name),
+        date: typeof entry.date === 'string' ? entry.date : new Date(0).toISOString(),
+        mode: typeof entry.mode === 'string' ? entry.mode : 'survival',
+        score: entry.score,
+        waveReached: Number(entry.waveReached) || 0,
+        accuracy: Number(entry.accuracy) || 0,
+        kills: Number(entry.kills) || 0,
+        headshots: Number(entry.headshots) || 0,
+        timeSurvived: Number(entry.timeSurvived) || 0
+      }))
+  }
+
+  sanitizeName(name) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : ''
+    return trimmed || 'Player'
+  }
+
+  // Getters
+  getHighScores() {
+    return this.highScores
+  }
+
+  getRecentRuns() {
+    return this.recentRuns
+  }
+
+  getLastPlayerName() {
+    return this.lastPlayerName
+  }
+}
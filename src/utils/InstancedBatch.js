@@ -0,0 +1,108 @@
+import * as THREE from 'three'
+
+const matrix = new THREE.Matrix4()
+const color = new THREE.Color()
+
+/**
+ * InstancedBatch class for drawing many copies of one geometry and material in a single draw call
+ * Instances are written between begin() and end(); the batch grows when it runs out of room
+ */
+export class InstancedBatch {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the instanced mesh to
+   * @param {THREE.BufferGeometry} geometry - Shared geometry
+   * @param {THREE.Material} material - Shared material; per-instance colors multiply its color
+   * @param {object} options - capacity, castShadow, receiveShadow and dynamic (instances move every frame)
+   */
+  constructor(scene, geometry, material, options = {}) {
+    this.scene = scene
+    this.geometry = geometry
+    this.material = material
+    this.castShadow = options.castShadow ?? false
+    this.receiveShadow = options.receiveShadow ?? false
+    this.dynamic = options.dynamic ?? false
+    this.count = 0
+    this.mesh = null
+
+    this.createMesh(options.capacity ?? 64)
+  }
+
+  createMesh(capacity) {
+    const previous = this.mesh
+
+    this.capacity = capacity
+    this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity)
+    this.mesh.castShadow = this.castShadow
+    this.mesh.receiveShadow = this.receiveShadow
+    this.mesh.count = 0
+
+    if (this.dynamic) {
+      this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage)
+      // Instances move every frame, so a bounding sphere would always be stale
+      this.mesh.frustumCulled = false
+    }
+
+    // Keep what has been written this frame
+    if (previous) {
+      for (let i = 0; i < this.count; i++) {
+        previous.getMatrixAt(i, matrix)
+        this.mesh.setMatrixAt(i, matrix)
+        if (previous.instanceColor) {
+          previous.getColorAt(i, color)
+          this.mesh.setColorAt(i, color)
+        }
+      }
+      this.scene.remove(previous)
+      previous.dispose()
+    }
+
+    this.scene.add(this.mesh)
+  }
+
+  begin() {
+    this.count = 0
+  }
+
+  /**
+   * Add an instance
+   * @param {THREE.Matrix4} instanceMatrix - World transform
+   * @param {THREE.Color} instanceColor - Optional color
+   */
+  add(instanceMatrix, instanceColor = null) {
+    if (this.count === this.capacity) {
+      this.createMesh(this.capacity * 2)
+    }
+
+    this.mesh.setMatrixAt(this.count, instanceMatrix)
+    if (instanceColor) {
+      this.mesh.setColorAt(this.count, instanceColor)
+    }
+    this.count++
+  }
+
+  end() {
+    this.mesh.count = this.count
+    this.mesh.instanceMatrix.needsUpdate = true
+    if (this.mesh.instanceColor) {
+      this.mesh.instanceColor.needsUpdate = true
+    }
+
+    if (!this.dynamic) {
+      this.mesh.computeBoundingSphere()
+    }
+  }
+
+  removeFromScene() {
+    this.scene.remove(this.mesh)
+    this.mesh.dispose()
+  }
+
+  // Getters
+  getCount() {
+    return this.count
+  }
+
+  getMesh() {
+    return this.mesh
+  }
+}
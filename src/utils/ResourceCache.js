@@ -0,0 +1,55 @@
+/**
+ * ResourceCache class for sharing geometries and materials
+ * Anything created through the cache is flagged as shared, so Utils.disposeObject leaves it alone
+ */
+export class ResourceCache {
+  constructor() {
+    this.geometries = new Map()
+    this.materials = new Map()
+  }
+
+  /**
+   * Get a shared geometry, creating it the first time it is asked for
+   * @param {string} key - Unique name, e.g. 'zombie-arm'
+   * @param {Function} create - () => THREE.BufferGeometry
+   * @returns {THREE.BufferGeometry}
+   */
+  getGeometry(key, create) {
+    return this.getOrCreate(this.geometries, key, create)
+  }
+
+  /**
+   * Get a shared material, creating it the first time it is asked for
+   * @param {string} key - Unique name, e.g. 'building-0x8b8b8b'
+   * @param {Function} create - () => THREE.Material
+   * @returns {THREE.Material}
+   */
+  getMaterial(key, create) {
+    return this.getOrCreate(this.materials, key, create)
+  }
+
+  getOrCreate(map, key, create) {
+    let resource = map.get(key)
+    if (!resource) {
+      resource = create()
+      resource.userData.shared = true
+      map.set(key, resource)
+    }
+    return resource
+  }
+
+  dispose() {
+    this.geometries.forEach(geometry => geometry.dispose())
+    this.materials.forEach(material => material.dispose())
+    this.geometries.clear()
+    this.materials.clear()
+  }
+
+  // Getters
+  getStats() {
+    return { geometries: this.geometries.size, materials: this.materials.size }
+  }
+}
+
+// One cache for the whole game
+export const resourceCache = new ResourceCache()
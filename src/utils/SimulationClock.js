@@ -0,0 +1,69 @@
+export const SIMULATION = {
+  timeStep: 1 / 60, // Seconds simulated by every game update and physics step
+  maxSubSteps: 5 // Most steps run for one rendered frame; slower frames drop the extra time
+}
+
+/**
+ * SimulationClock class for the fixed-step game loop
+ * Real frame time is collected in an accumulator and spent in whole steps of the same size, so gameplay runs the
+ * same at any frame rate. now() is the simulated time in milliseconds and is what gameplay timers read instead of
+ * Date.now(); it stops while the game is paused
+ */
+export class SimulationClock {
+  /**
+   * @param {object} config - Overrides for SIMULATION
+   */
+  constructor(config = {}) {
+    this.config = { ...SIMULATION, ...config }
+    this.timeStep = this.config.timeStep
+    this.time = 0
+    this.accumulator = 0
+  }
+
+  /**
+   * Add real time since the last frame and find out how many steps to run
+   * @param {number} frameTime - Seconds since the last frame
+   * @returns {number} Steps to run now, each followed by a call to step()
+   */
+  accumulate(frameTime) {
+    this.accumulator += frameTime
+
+    const steps = Math.min(Math.floor(this.accumulator / this.timeStep), this.config.maxSubSteps)
+    this.accumulator -= steps * this.timeStep
+
+    // Too far behind to catch up; keep only the partial step so the next frame doesn't try again
+    if (steps === this.config.maxSubSteps) {
+      this.accumulator %= this.timeStep
+    }
+
+    return steps
+  }
+
+  // Advance simulated time by one step
+  step() {
+    this.time += this.timeStep * 1000
+  }
+
+  /**
+   * Forget leftover frame time, e.g. when the game starts or resumes
+   */
+  resetAccumulator() {
+    this.accumulator = 0
+  }
+
+  // Getters
+  now() {
+    return this.time
+  }
+
+  /**
+   * How far the render is between the last two simulated states
+   * @returns {number} 0 at the previous step, 1 at the latest
+   */
+  getAlpha() {
+    return this.accumulator / this.timeStep
+  }
+}
+
+// One clock for the whole game
+export const simulationClock = new SimulationClock()
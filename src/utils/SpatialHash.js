@@ -0,0 +1,270 @@
+/**
+ * SpatialHash utility for fast neighbour lookups
+ * Items register a point or box and are bucketed into square cells on x/z. Calling insert again with a new
+ * position moves an item, only touching its cells when it crosses a cell edge. Radius and nearest queries
+ * measure on the ground plane; box queries test all three axes
+ */
+
+// Items covering more cells than this (ground planes, huge static boxes) are kept in one list checked by every query
+const MAX_CELLS_PER_ITEM = 64
+
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - Cell edge length; queries are cheapest with a radius close to this
+   */
+  constructor(cellSize = 4) {
+    this.cellSize = cellSize
+    this.cells = new Map()
+    this.entries = new Map() // item -> entry
+    this.oversized = []
+    this.queryStamp = 0
+  }
+
+  getKey(cellX, cellZ) {
+    // Pack both cell coordinates into one number to avoid building string keys every frame
+    return (cellX + 32768) * 65536 + (cellZ + 32768)
+  }
+
+  /**
+   * Remove all items; cell arrays are kept for reuse
+   */
+  clear() {
+    this.cells.forEach(cell => {
+      cell.length = 0
+    })
+    this.entries.clear()
+    this.oversized.length = 0
+  }
+
+  /**
+   * Add a point item, or move it if it is already in the hash
+   * @param {*} item - Anything; queries return it as is
+   * @param {THREE.Vector3|CANNON.Vec3} position - Item position
+   * @param {number} radius - Item size, so queries find it as soon as they reach its edge
+   */
+  insert(item, position, radius = 0) {
+    this.setBounds(
+      item,
+      position.x - radius, position.y - radius, position.z - radius,
+      position.x + radius, position.y + radius, position.z + radius
+    )
+  }
+
+  /**
+   * Add an item with an axis-aligned bounding box, or move it if it is already in the hash
+   * @param {*} item - Anything; queries return it as is
+   * @param {THREE.Vector3|CANNON.Vec3} min - Lower corner
+   * @param {THREE.Vector3|CANNON.Vec3} max - Upper corner
+   */
+  insertBox(item, min, max) {
+    this.setBounds(item, min.x, min.y, min.z, max.x, max.y, max.z)
+  }
+
+  setBounds(item, minX, minY, minZ, maxX, maxY, maxZ) {
+    let entry = this.entries.get(item)
+    if (!entry) {
+      entry = { item, stamp: 0, oversized: false, cellMinX: 0, cellMinZ: 0, cellMaxX: -1, cellMaxZ: -1 }
+      this.entries.set(item, entry)
+    }
+
+    entry.minX = minX
+    entry.minY = minY
+    entry.minZ = minZ
+    entry.maxX = maxX
+    entry.maxY = maxY
+    entry.maxZ = maxZ
+
+    const cellMinX = Math.floor(minX / this.cellSize)
+    const cellMinZ = Math.floor(minZ / this.cellSize)
+    const cellMaxX = Math.floor(maxX / this.cellSize)
+    const cellMaxZ = Math.floor(maxZ / this.cellSize)
+    const cellCount = (cellMaxX - cellMinX + 1) * (cellMaxZ - cellMinZ + 1)
+    const oversized = !(cellCount <= MAX_CELLS_PER_ITEM) // Also catches infinite bounds
+
+    // Still in the same cells, so only the bounds needed updating
+    if (oversized && entry.oversized) return
+    if (!oversized && !entry.oversized && cellMinX === entry.cellMinX && cellMinZ === entry.cellMinZ &&
+        cellMaxX === entry.cellMaxX && cellMaxZ === entry.cellMaxZ) return
+
+    this.unlink(entry)
+    entry.oversized = oversized
+
+    if (oversized) {
+      this.oversized.push(entry)
+      return
+    }
+
+    entry.cellMinX = cellMinX
+    entry.cellMinZ = cellMinZ
+    entry.cellMaxX = cellMaxX
+    entry.cellMaxZ = cellMaxZ
+    for (let cellX = cellMinX; cellX <= cellMaxX; cellX++) {
+      for (let cellZ = cellMinZ; cellZ <= cellMaxZ; cellZ++) {
+        const key = this.getKey(cellX, cellZ)
+        let cell = this.cells.get(key)
+        if (!cell) {
+          cell = []
+          this.cells.set(key, cell)
+        }
+        cell.push(entry)
+      }
+    }
+  }
+
+  remove(item) {
+    const entry = this.entries.get(item)
+    if (!entry) return
+
+    this.unlink(entry)
+    this.entries.delete(item)
+  }
+
+  // Take an entry out of the cells (or oversized list) it is stored in
+  unlink(entry) {
+    if (entry.oversized) {
+      removeFrom(this.oversized, entry)
+      entry.oversized = false
+      return
+    }
+
+    for (let cellX = entry.cellMinX; cellX <= entry.cellMaxX; cellX++) {
+      for (let cellZ = entry.cellMinZ; cellZ <= entry.cellMaxZ; cellZ++) {
+        const cell = this.cells.get(this.getKey(cellX, cellZ))
+        if (cell) removeFrom(cell, entry)
+      }
+    }
+    entry.cellMaxX = entry.cellMinX - 1
+  }
+
+  /**
+   * Find the items within a radius of a point on the ground plane
+   * @param {number} x - Query center
+   * @param {number} z - Query center
+   * @param {number} radius - Search radius
+   * @param {Array} results - Optional array to fill, cleared first
+   * @returns {Array} Items within the radius
+   */
+  queryRadius(x, z, radius, results = []) {
+    results.length = 0
+    const radiusSquared = radius * radius
+
+    this.visit(x - radius, z - radius, x + radius, z + radius, entry => {
+      if (horizontalDistanceSquared(entry, x, z) <= radiusSquared) {
+        results.push(entry.item)
+      }
+    })
+
+    return results
+  }
+
+  /**
+   * Find the items whose bounds overlap an axis-aligned box
+   * @param {THREE.Vector3|CANNON.Vec3} min - Lower corner
+   * @param {THREE.Vector3|CANNON.Vec3} max - Upper corner
+   * @param {Array} results - Optional array to fill, cleared first
+   * @returns {Array} Overlapping items
+   */
+  queryBox(min, max, results = []) {
+    results.length = 0
+
+    this.visit(min.x, min.z, max.x, max.z, entry => {
+      if (entry.minX <= max.x && entry.maxX >= min.x &&
+          entry.minY <= max.y && entry.maxY >= min.y &&
+          entry.minZ <= max.z && entry.maxZ >= min.z) {
+        results.push(entry.item)
+      }
+    })
+
+    return results
+  }
+
+  /**
+   * Find the closest items to a point on the ground plane
+   * @param {number} x - Query center
+   * @param {number} z - Query center
+   * @param {number} count - How many items to return at most
+   * @param {object} options - maxDistance to search, filter(item) to skip items
+   * @returns {Array} Up to count items, closest first
+   */
+  queryNearest(x, z, count, options = {}) {
+    const { maxDistance = Infinity, filter = null } = options
+    const candidates = []
+    let radius = this.cellSize
+
+    // Widen the search until it holds enough items, everything, or reaches maxDistance
+    while (true) {
+      radius = Math.min(radius, maxDistance)
+      this.queryRadius(x, z, radius, candidates)
+
+      const found = filter ? candidates.filter(filter) : candidates
+      if (found.length >= count || candidates.length === this.entries.size || radius >= maxDistance) {
+        return found
+          .map(item => ({ item, distanceSquared: horizontalDistanceSquared(this.entries.get(item), x, z) }))
+          .sort((a, b) => a.distanceSquared - b.distanceSquared)
+          .slice(0, count)
+          .map(result => result.item)
+      }
+
+      radius *= 2
+    }
+  }
+
+  // Call back once for every entry stored in the cells covering an x/z rectangle
+  visit(minX, minZ, maxX, maxZ, callback) {
+    const stamp = ++this.queryStamp
+    const cellMinX = Math.floor(minX / this.cellSize)
+    const cellMaxX = Math.floor(maxX / this.cellSize)
+    const cellMinZ = Math.floor(minZ / this.cellSize)
+    const cellMaxZ = Math.floor(maxZ / this.cellSize)
+
+    const visitCell = cell => {
+      for (let i = 0; i < cell.length; i++) {
+        const entry = cell[i]
+        // Items spanning several cells are only reported once
+        if (entry.stamp === stamp) continue
+        entry.stamp = stamp
+        callback(entry)
+      }
+    }
+
+    // A rectangle covering more cells than exist (huge or infinite queries) is cheaper to answer by visiting them all
+    if ((cellMaxX - cellMinX + 1) * (cellMaxZ - cellMinZ + 1) > this.cells.size) {
+      this.cells.forEach(visitCell)
+    } else {
+      for (let cellX = cellMinX; cellX <= cellMaxX; cellX++) {
+        for (let cellZ = cellMinZ; cellZ <= cellMaxZ; cellZ++) {
+          const cell = this.cells.get(this.getKey(cellX, cellZ))
+          if (cell) visitCell(cell)
+        }
+      }
+    }
+
+    for (let i = 0; i < this.oversized.length; i++) {
+      callback(this.oversized[i])
+    }
+  }
+
+  has(item) {
+    return this.entries.has(item)
+  }
+
+  getCount() {
+    return this.entries.size
+  }
+}
+
+// Squared distance on x/z from a point to the closest point of an entry's bounds
+function horizontalDistanceSquared(entry, x, z) {
+  const dx = Math.max(entry.minX - x, 0, x - entry.maxX)
+  const dz = Math.max(entry.minZ - z, 0, z - entry.maxZ)
+  return dx * dx + dz * dz
+}
+
+function removeFrom(array, value) {
+  const index = array.indexOf(value)
+  if (index > -1) {
+    // Order doesn't matter, so swap in the last element instead of shifting
+    array[index] = array[array.length - 1]
+    array.pop()
+  }
+}
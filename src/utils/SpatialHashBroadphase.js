@@ -0,0 +1,97 @@
+import * as CANNON from 'cannon-es'
+import { SpatialHash } from './SpatialHash.js'
+
+/**
+ * SpatialHashBroadphase utility for finding Cannon collision pairs and raycast candidates through a SpatialHash
+ * Body bounding boxes are re-registered once per step, so each moving body only tests the bodies near it
+ * instead of every body in the world. Raycasts and CollisionManager overlap queries use the same hash
+ */
+export class SpatialHashBroadphase extends CANNON.Broadphase {
+  /**
+   * @param {number} cellSize - Cell edge length; a little larger than a typical dynamic body works best
+   */
+  constructor(cellSize = 4) {
+    super()
+    this.index = new SpatialHash(cellSize)
+    this.useBoundingBoxes = true
+    this.candidates = []
+  }
+
+  setWorld(world) {
+    this.world = world
+    world.addEventListener('addBody', () => {
+      this.dirty = true
+    })
+    world.addEventListener('removeBody', event => this.index.remove(event.body))
+  }
+
+  /**
+   * Bring every body's bounding box in the hash up to date; Cannon marks the broadphase dirty after each step
+   * @param {CANNON.World} world - World whose bodies to index
+   */
+  refresh(world) {
+    const bodies = world.bodies
+    for (let i = 0; i < bodies.length; i++) {
+      const body = bodies[i]
+      // Shapeless bodies, like swept bullets, never collide
+      if (body.shapes.length === 0) continue
+
+      // Static bodies only move when something repositions them by hand
+      if (body.type === CANNON.Body.STATIC && !body.aabbNeedsUpdate && this.index.has(body)) continue
+
+      body.updateAABB()
+      this.index.insertBox(body, body.aabb.lowerBound, body.aabb.upperBound)
+    }
+
+    this.dirty = false
+  }
+
+  collisionPairs(world, pairs1, pairs2) {
+    this.refresh(world)
+
+    const bodies = world.bodies
+    const candidates = this.candidates
+    for (let i = 0; i < bodies.length; i++) {
+      const bodyA = bodies[i]
+      // Pairs with a resting body are found from the moving body's side
+      if (!isActive(bodyA) || bodyA.shapes.length === 0) continue
+
+      this.index.queryBox(bodyA.aabb.lowerBound, bodyA.aabb.upperBound, candidates)
+      for (let j = 0; j < candidates.length; j++) {
+        const bodyB = candidates[j]
+        // Two moving bodies find each other; keep only one of the two pairs
+        if (bodyB === bodyA || (isActive(bodyB) && bodyB.id < bodyA.id)) continue
+
+        if (this.needBroadphaseCollision(bodyA, bodyB)) {
+          this.intersectionTest(bodyA, bodyB, pairs1, pairs2)
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the bodies whose bounding boxes overlap an axis-aligned box
+   * @param {CANNON.Vec3|THREE.Vector3} min - Lower corner
+   * @param {CANNON.Vec3|THREE.Vector3} max - Upper corner
+   * @param {CANNON.Body[]} result - Optional array to fill, cleared first
+   * @returns {CANNON.Body[]}
+   */
+  queryBox(min, max, result = []) {
+    if (this.dirty && this.world) {
+      this.refresh(this.world)
+    }
+    return this.index.queryBox(min, max, result)
+  }
+
+  // Used by Cannon's raycasts to pick which bodies to test
+  aabbQuery(world, aabb, result = []) {
+    if (this.dirty) {
+      this.refresh(world)
+    }
+    return this.index.queryBox(aabb.lowerBound, aabb.upperBound, result)
+  }
+}
+
+function isActive(body) {
+  return body.type !== CANNON.Body.STATIC && body.sleepState !== CANNON.Body.SLEEPING
+}
@@ -1,79 +1,7 @@
 import * as THREE from 'three'
 
-export class HealthSystem {
-  constructor(maxHealth = 100) {
-    this.maxHealth = maxHealth
-    this.currentHealth = maxHealth
-    this.lastDamageTime = 0
-    this.damageImmunityDuration = 1000 // 1 second
-    
-    this.onHealthChanged = null // Callback function
-    this.onDeath = null // Callback function
-  }
-
-  takeDamage(amount) {
-    const currentTime = Date.now()
-    
-    // Check for damage immunity
-    if (currentTime - this.lastDamageTime < this.damageImmunityDuration) {
-      return false // Damage was blocked
-    }
-    
-    this.currentHealth -= amount
-    this.currentHealth = Math.max(0, this.currentHealth)
-    this.lastDamageTime = currentTime
-    
-    // Trigger callbacks
-    if (this.onHealthChanged) {
-      this.onHealthChanged(this.currentHealth, this.maxHealth)
-    }
-    
-    if (this.currentHealth <= 0 && this.onDeath) {
-      this.onDeath()
-    }
-    
-    return true // Damage was applied
-  }
-
-  heal(amount) {
-    this.currentHealth += amount
-    this.currentHealth = Math.min(this.maxHealth, this.currentHealth)
-    
-    if (this.onHealthChanged) {
-      this.onHealthChanged(this.currentHealth, this.maxHealth)
-    }
-  }
-
-  reset() {
-    this.currentHealth = this.maxHealth
-    this.lastDamageTime = 0
-    
-    if (this.onHealthChanged) {
-      this.onHealthChanged(this.currentHealth, this.maxHealth)
-    }
-  }
-
-  getHealth() {
-    return this.currentHealth
-  }
-
-  getMaxHealth() {
-    return this.maxHealth
-  }
-
-  getHealthPercentage() {
-    return (this.currentHealth / this.maxHealth) * 100
-  }
-
-  isDead() {
-    return this.currentHealth <= 0
-  }
-
-  isImmune() {
-    const currentTime = Date.now()
-    return (currentTime - this.lastDamageTime) < this.damageImmunityDuration
-  }
-}
+const previousQuaternion = new THREE.Quaternion()
+const currentQuaternion = new THREE.Quaternion()
 
 // Utility functions
 export class Utils {
@@ -183,18 +111,27 @@ export class Utils {
     return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`
   }
 
-  // Dispose of Three.js resources
+  // Escape text for safe use inside innerHTML
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+  }
+
+  // Dispose of Three.js resources; shared ones from ResourceCache are left for other users
   static disposeObject(object) {
-    if (object.geometry) {
+    if (object.geometry && !object.geometry.userData.shared) {
       object.geometry.dispose()
     }
     
     if (object.material) {
-      if (Array.isArray(object.material)) {
-        object.material.forEach(material => material.dispose())
-      } else {
-        object.material.dispose()
-      }
+      const materials = Array.isArray(object.material) ? object.material : [object.material]
+      materials.forEach(material => {
+        if (!material.userData.shared) material.dispose()
+      })
     }
     
     if (object.texture) {
@@ -209,10 +146,40 @@ export class Utils {
     })
   }
 
+  /**
+   * Blend a physics body's previous and current step for drawing between fixed steps
+   * @param {CANNON.Body} body - Physics body
+   * @param {number} alpha - 0 for the previous step, 1 for the current one
+   * @param {THREE.Vector3} position - Set to the blended position
+   * @param {THREE.Quaternion} quaternion - Optional, set to the blended rotation
+   */
+  static interpolateBody(body, alpha, position, quaternion = null) {
+    const previous = body.previousPosition
+    const current = body.position
+    position.set(
+      previous.x + (current.x - previous.x) * alpha,
+      previous.y + (current.y - previous.y) * alpha,
+      previous.z + (current.z - previous.z) * alpha
+    )
+    
+    if (quaternion) {
+      previousQuaternion.copy(body.previousQuaternion)
+      currentQuaternion.copy(body.quaternion)
+      quaternion.slerpQuaternions(previousQuaternion, currentQuaternion, alpha)
+    }
+  }
+
+  // Call after placing a body by hand so it isn't drawn sliding over from where it was
+  static resetBodyInterpolation(body) {
+    body.previousPosition.copy(body.position)
+    body.previousQuaternion.copy(body.quaternion)
+  }
+
   // Simple object pool for performance
   static createObjectPool(createFunction, resetFunction, initialSize = 10) {
     const pool = []
     const active = []
+    let created = initialSize
     
     // Pre-populate pool
     for (let i = 0; i < initialSize; i++) {
@@ -227,6 +194,7 @@ export class Utils {
           return obj
         } else {
           const obj = createFunction()
+          created++
           active.push(obj)
           return obj
         }
@@ -247,6 +215,10 @@ export class Utils {
       
       getPoolSize() {
         return pool.length
+      },
+      
+      getStats() {
+        return { active: active.length, free: pool.length, created }
       }
     }
   }